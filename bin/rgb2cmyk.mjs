@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+/*
+  bin/rgb2cmyk.mjs — the sandbox’s conversions on the command line
+
+  What this does
+  --------------
+  Runs colors through the same pipeline the guide’s sandbox uses (color/pipeline.mjs:
+  hexToLabD50 → intent_* → rgbLinear_to_cmyk, or a printer profile’s lookups via
+  color/icc.mjs), with the sandbox table’s own rows (color/intent-rows.mjs), so build
+  steps and CI can convert design tokens without a browser.
+  CSV and JSON are the sandbox’s own batch exports (color/batch.mjs), column for column.
+
+  Usage
+  -----
+    rgb2cmyk '#629c67' --intent perceptual --format json
+    rgb2cmyk teal 'rgb(98 156 103)'
+    cat tokens.txt | rgb2cmyk --format csv > tokens-cmyk.csv
+
+  Colors come from the arguments, or from stdin when there are none: one per line,
+  optionally named ("Brand green: #629c67"), in any format batch mode reads. Quote
+  hex colors in a shell — an unquoted #629c67 is a comment.
+
+  Options
+  -------
+  -i, --intent    perceptual | relative | saturation | absolute | naive | all (default all)
+  -f, --format    table | csv | json (default table)
+  -s, --space     RGB space hex / rgb() values are in: srgb, display-p3, a98-rgb, rec2020
+  -p, --profile   CMYK printer profile (.icc/.icm); intents become the profile’s lookups
+      --black     none | light | medium | heavy | maximum | ucr (naïve CMYK black generation)
+      --black-start, --max-k   percent; --rich-black  60/40/40 under solid K
+      --inks      ideal | press: inks the naïve hex previews through (default ideal, as the sandbox)
+      --delta-e   76 | 94 | 2000 (default 2000); --tolerance  pass/fail limit (default 2)
+
+  Exit status: 0 when every color converted, 1 when some input was skipped,
+  2 on bad options or an unreadable profile.
+*/
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { hexToLabD50, RGB_SPACES, BLACK_GENERATION, DEFAULT_BLACK, INK_MODELS, DEFAULT_INKS } from '../color/pipeline.mjs';
+import { parseIccProfile } from '../color/icc.mjs';
+import { iccGamut } from '../color/gamut.mjs';
+import { DELTA_E, DEFAULT_TOLERANCE } from '../color/delta-e.mjs';
+import { intentRows } from '../color/intent-rows.mjs';
+import { parsePalette, batchToCsv, batchToJson } from '../color/batch.mjs';
+
+// --intent keys → INTENTS / ICC_INTENTS names
+const INTENT_KEYS = {
+  perceptual: 'Perceptual',
+  relative:   'Relative colorimetric',
+  saturation: 'Saturation',
+  absolute:   'Absolute colorimetric',
+  naive:      'Naive math',
+};
+const FORMATS = ['table', 'csv', 'json'];
+
+const USAGE = `Usage: rgb2cmyk [options] [color ...]
+       … | rgb2cmyk [options]          (one color per line on stdin)
+
+  -i, --intent    ${[...Object.keys(INTENT_KEYS), 'all'].join(' | ')} (default all)
+  -f, --format    ${FORMATS.join(' | ')} (default table)
+  -s, --space     ${Object.keys(RGB_SPACES).join(' | ')} (default srgb)
+  -p, --profile   CMYK printer profile (.icc/.icm)
+      --black     ${[...Object.keys(BLACK_GENERATION), 'ucr'].join(' | ')} (default ${DEFAULT_BLACK.strategy})
+      --black-start <%>, --max-k <%>, --rich-black
+      --inks      ${Object.keys(INK_MODELS).join(' | ')} (default ${DEFAULT_INKS})
+      --delta-e   ${Object.keys(DELTA_E).join(' | ')} (default ${DEFAULT_TOLERANCE.formula}); --tolerance <n> (default ${DEFAULT_TOLERANCE.max})
+  -h, --help
+
+Quote hex colors: rgb2cmyk '#629c67' --intent perceptual --format json`;
+
+class UsageError extends Error {}
+
+// argv → validated settings; throws UsageError with a readable message
+function readOptions(argv){
+  let parsed;
+  try {
+    parsed = parseArgs({args:argv, allowPositionals:true, options:{
+      intent:        {type:'string', short:'i', default:'all'},
+      format:        {type:'string', short:'f', default:'table'},
+      space:         {type:'string', short:'s', default:'srgb'},
+      profile:       {type:'string', short:'p'},
+      black:         {type:'string', default:DEFAULT_BLACK.strategy},
+      'black-start': {type:'string'},
+      'max-k':       {type:'string'},
+      'rich-black':  {type:'boolean', default:false},
+      inks:          {type:'string', default:DEFAULT_INKS},
+      'delta-e':     {type:'string', default:DEFAULT_TOLERANCE.formula},
+      tolerance:     {type:'string'},
+      help:          {type:'boolean', short:'h', default:false},
+    }});
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const {values, positionals} = parsed;
+  const oneOf = (name, value, allowed) => {
+    if (!allowed.includes(value)) throw new UsageError(`--${name} must be one of ${allowed.join(', ')} (got “${value}”).`);
+    return value;
+  };
+  const number = (name, value, fallback, min, max) => {
+    if (value === undefined) return fallback;
+    const v = Number(value);
+    if (!Number.isFinite(v) || v < min || v > max) throw new UsageError(`--${name} must be a number from ${min} to ${max} (got “${value}”).`);
+    return v;
+  };
+
+  return {
+    help:    values.help,
+    colors:  positionals,
+    intent:  oneOf('intent', values.intent, [...Object.keys(INTENT_KEYS), 'all']),
+    format:  oneOf('format', values.format, FORMATS),
+    space:   oneOf('space', values.space, Object.keys(RGB_SPACES)),
+    profile: values.profile,
+    black: {
+      strategy:   oneOf('black', values.black, [...Object.keys(BLACK_GENERATION), 'ucr']),
+      blackStart: number('black-start', values['black-start'], DEFAULT_BLACK.blackStart * 100, 0, 95) / 100,
+      maxK:       number('max-k', values['max-k'], DEFAULT_BLACK.maxK * 100, 0, 100) / 100,
+      richBlack:  values['rich-black'],
+    },
+    inks:    oneOf('inks', values.inks, Object.keys(INK_MODELS)),
+    tolerance: {
+      formula: oneOf('delta-e', values['delta-e'], Object.keys(DELTA_E)),
+      max:     number('tolerance', values.tolerance, DEFAULT_TOLERANCE.max, 0, 100),
+    },
+  };
+}
+
+// One palette entry → a batch result ({ name, input, Lab, rows }), or null when unreadable
+function convertEntry({name, color}, settings){
+  const base = hexToLabD50(color, settings.space);
+  if (!base) return null;
+  const wanted = settings.intent === 'all' ? null : INTENT_KEYS[settings.intent];
+  const rows = intentRows(base.Lab, settings)
+    .filter(row => !wanted || row.name === wanted || row.name === `${wanted} (ICC)`);
+  return {name, input:color, Lab:base.Lab, rows};
+}
+
+// Plain-text table, columns padded to their widest cell
+function toTable(results, {formula}){
+  const pct = (v) => String(Math.round(v * 100));
+  const lines = [['Color', 'Intent', 'Hex', 'C', 'M', 'Y', 'K', 'TAC', `ΔE${formula}`, '']];
+  results.forEach(r => r.rows.forEach(row => {
+    const {C, M, Y, K} = row.out.cmyk;
+    lines.push([r.name ? `${r.name} (${r.input})` : r.input, row.name, row.out.hex,
+      pct(C), pct(M), pct(Y), pct(K), `${Math.round(row.tac)}%`, row.deltaE.toFixed(2), row.pass ? 'pass' : 'FAIL']);
+  }));
+  const widths = lines[0].map((_, i) => Math.max(...lines.map(l => l[i].length)));
+  const numeric = new Set([3, 4, 5, 6, 7, 8]);
+  return lines.map(l => l.map((cell, i) => (numeric.has(i) ? cell.padStart(widths[i]) : cell.padEnd(widths[i])))
+    .join('  ').trimEnd()).join('\n') + '\n';
+}
+
+function readStdin(){
+  try {
+    return readFileSync(0, 'utf8');
+  } catch (err) {
+    return '';
+  }
+}
+
+function main(argv){
+  let settings;
+  try {
+    settings = readOptions(argv);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    process.stderr.write(`rgb2cmyk: ${err.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (settings.help || (!settings.colors.length && process.stdin.isTTY)) {
+    process.stdout.write(`${USAGE}\n`);
+    return settings.help ? 0 : 2;
+  }
+
+  if (settings.profile) {
+    try {
+      const file = readFileSync(settings.profile);
+      settings.profile = parseIccProfile(file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength));
+      // One gamut for the whole run, so its cached cusps serve every color
+      settings.printGamut = iccGamut(settings.profile);
+    } catch (err) {
+      process.stderr.write(`rgb2cmyk: couldn’t use ${settings.profile}: ${err.message}\n`);
+      return 2;
+    }
+  }
+
+  // Arguments are one color each; stdin is read like a pasted batch-mode list
+  const palette = settings.colors.length
+    ? {entries:settings.colors.map(color => ({name:'', color})), skipped:[]}
+    : parsePalette(readStdin());
+  const results = [];
+  const skipped = palette.skipped.map(s => `line ${s.line}: ${s.text}`);
+  palette.entries.forEach(entry => {
+    const result = convertEntry(entry, settings);
+    if (result) results.push(result);
+    else skipped.push(entry.color);
+  });
+  skipped.forEach(s => process.stderr.write(`rgb2cmyk: skipped ${s} (not a color)\n`));
+
+  const meta = {formula:settings.tolerance.formula, tolerance:settings.tolerance.max};
+  const output = {table:toTable, csv:batchToCsv, json:(r, m) => batchToJson(r, m) + '\n'}[settings.format];
+  process.stdout.write(output(results, meta));
+  return skipped.length ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
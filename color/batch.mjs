@@ -0,0 +1,121 @@
+/*
+  color/batch.mjs — palette lists in, CSV / JSON out
+
+  What this does
+  --------------
+  The text side of the sandbox’s batch mode; no DOM and no color math.
+  • Reads a pasted or uploaded palette — one color per line, optionally named:
+        #629c67
+        Brand green: #629c67          (also  name, color  /  name<TAB>color  /  name = color)
+        #629c67, Brand green          (color first, as many CSV exports have it;
+        rgb(98, 156, 103), Brand green  the color may hold separators itself)
+        rgb(98 156 103)  oklch(0.63 0.1 145)  teal
+        #629c67 #f8f8f8 #111111       (several plain colors on one line)
+    Blank lines and // comments are ignored; lines that don’t contain a color are
+    returned as skipped (a CSV header, a typo) so the UI can say so.
+  • Serializes converted results to CSV (one row per color × intent) or JSON
+    (one object per color with its intents nested). Text cells that a spreadsheet would
+    run as a formula (= + - @ first) are prefixed with ' in the CSV.
+
+  API
+  ---
+  parsePalette(text)             → { entries: [{ name, color, line }], skipped: [{ line, text }] }
+  batchToCsv(results, meta)      → CSV string
+  batchToJson(results, meta)     → pretty-printed JSON string
+    results: [{ name, input, Lab, rows: [{ name, out: { hex, Lab, cmyk }, tac, deltaE, pass }] }]
+    meta:    { formula, tolerance }  — the ΔE settings the results were judged with
+*/
+
+import { parseColor } from './parse.mjs';
+
+// Separators allowed between a swatch name and its color
+const NAME_SEPARATORS = /[\t:;=,]/;
+
+// One palette line → [{name, color}] or null when nothing on it reads as a color
+function parseLine(line) {
+  if (parseColor(line)) return [{name:'', color:line}];
+
+  // name <sep> color, then color <sep> name, trying every separator: names and colors
+  // (rgb(98, 156, 103)) may contain separators themselves. When both sides read as
+  // colors, a bare word ("Green" beside #629c67) is the name
+  const splits = [];
+  for (let at = 0; at < line.length; at++) {
+    if (NAME_SEPARATORS.test(line[at])) splits.push([line.slice(0, at).trim(), line.slice(at + 1).trim()]);
+  }
+  const word = (s) => /^[a-z]+$/i.test(s);
+  for (const [before, after] of splits) {
+    if (parseColor(after) && !(word(after) && !word(before) && parseColor(before))) return [{name:before, color:after}];
+  }
+  for (const [before, after] of splits) {
+    if (parseColor(before)) return [{name:after, color:before}];
+  }
+
+  // Several plain colors separated by spaces (e.g. "#fff #000 teal")
+  const words = line.split(/\s+/);
+  if (words.length > 1 && words.every(w => parseColor(w))) return words.map(w => ({name:'', color:w}));
+  return null;
+}
+
+export function parsePalette(text) {
+  const entries = [], skipped = [];
+  String(text || '').split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('//')) return;
+    const found = parseLine(line);
+    if (found) entries.push(...found.map(entry => ({...entry, line:i + 1})));
+    else skipped.push({line:i + 1, text:line});
+  });
+  return {entries, skipped};
+}
+
+// -----------------------------
+// Export
+// -----------------------------
+
+// Numbers rounded for export: Lab to 2 decimals, ink and ΔE to 1/2
+const round = (x, d) => Number(x.toFixed(d));
+const pct = (x) => round(x*100, 1);
+
+// Quote a CSV field when it holds a comma, quote or newline. Text that starts like a
+// formula (palette names are pasted by the user) gets a leading ' so spreadsheets show it
+function csvField(v) {
+  let s = String(v);
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function batchToCsv(results, meta) {
+  const header = ['name', 'input', 'intent', 'hex', 'L', 'a', 'b', 'C', 'M', 'Y', 'K', 'TAC',
+    `deltaE${meta.formula}`, 'pass'];
+  const lines = [header.join(',')];
+  results.forEach(r => r.rows.forEach(row => {
+    const {hex, Lab, cmyk} = row.out;
+    lines.push([
+      r.name, r.input, row.name, hex,
+      ...Lab.map(v => round(v, 2)),
+      pct(cmyk.C), pct(cmyk.M), pct(cmyk.Y), pct(cmyk.K),
+      round(row.tac, 1), round(row.deltaE, 2), row.pass,
+    ].map(csvField).join(','));
+  }));
+  return lines.join('\n') + '\n';
+}
+
+export function batchToJson(results, meta) {
+  return JSON.stringify({
+    deltaE: {formula:meta.formula, tolerance:meta.tolerance},
+    colors: results.map(r => ({
+      name: r.name,
+      input: r.input,
+      Lab: r.Lab.map(v => round(v, 2)),
+      intents: r.rows.map(row => ({
+        intent: row.name,
+        hex: row.out.hex,
+        Lab: row.out.Lab.map(v => round(v, 2)),
+        cmyk: {C:pct(row.out.cmyk.C), M:pct(row.out.cmyk.M), Y:pct(row.out.cmyk.Y), K:pct(row.out.cmyk.K)},
+        tac: round(row.tac, 1),
+        deltaE: round(row.deltaE, 2),
+        pass: row.pass,
+      })),
+    })),
+  }, null, 2);
+}
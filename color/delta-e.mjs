@@ -0,0 +1,90 @@
+/*
+  color/delta-e.mjs — color difference (ΔE) between two Lab (D50) colors
+
+  What this does
+  --------------
+  Says how far apart two colors are, in the units print shops quote:
+    • CIE76     plain Euclidean distance in Lab — simple, but over-reports saturated colors
+    • CIE94     weights chroma and hue by the colors’ chroma (graphic-arts constants)
+    • CIEDE2000 the current standard: adds lightness weighting, a blue-region hue
+                rotation term and the neutral-axis a* fix; what most brand specs mean by “ΔE”
+  Inputs are [L, a, b] arrays, as produced by hexToLabD50 and the intent_* transforms.
+
+  Rule of thumb for ΔE2000: < 1 invisible, 1–2 visible on close inspection,
+  2–5 noticeable side by side, > 5 a different color.
+
+  API
+  ---
+  DELTA_E                         { '76', '94', '2000' } → { label, fn }
+  DEFAULT_TOLERANCE               { formula: '2000', max: 2 } — brand-color acceptance
+  deltaE76(Lab1, Lab2), deltaE94(Lab1, Lab2), deltaE2000(Lab1, Lab2)
+  deltaE(Lab1, Lab2, formula = '2000')
+*/
+
+const deg = Math.PI / 180;
+
+// CIE76 — plain Euclidean distance in Lab
+export const deltaE76 = (a, b) => Math.hypot(a[0]-b[0], a[1]-b[1], a[2]-b[2]);
+
+// CIE94 with graphic-arts weights (kL = 1, K1 = 0.045, K2 = 0.015); Lab1 is the reference
+export function deltaE94([L1, a1, b1], [L2, a2, b2]) {
+  const C1 = Math.hypot(a1, b1), C2 = Math.hypot(a2, b2);
+  const dL = L1 - L2, dC = C1 - C2;
+  // ΔH² from the a/b difference, floored at 0 against float noise
+  const dH2 = Math.max((a1-a2)**2 + (b1-b2)**2 - dC*dC, 0);
+  const SC = 1 + 0.045*C1, SH = 1 + 0.015*C1;
+  return Math.sqrt(dL*dL + (dC/SC)**2 + dH2/(SH*SH));
+}
+
+// CIEDE2000 (Sharma, Wu & Dalal 2005 formulation; kL = kC = kH = 1)
+export function deltaE2000([L1, a1, b1], [L2, a2, b2]) {
+  // a* rescaled so near-neutrals get their hue spread right
+  const Cbar = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+  const G = 0.5 * (1 - Math.sqrt(Cbar**7 / (Cbar**7 + 25**7)));
+  const a1p = a1*(1 + G), a2p = a2*(1 + G);
+  const C1p = Math.hypot(a1p, b1), C2p = Math.hypot(a2p, b2);
+  const hue = (b, a) => (b === 0 && a === 0) ? 0 : (Math.atan2(b, a)/deg + 360) % 360;
+  const h1p = hue(b1, a1p), h2p = hue(b2, a2p);
+
+  // Differences; hue difference is undefined (0) when either color is neutral
+  const dLp = L2 - L1, dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p*C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360; else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2*Math.sqrt(C1p*C2p)*Math.sin(dhp*deg/2);
+
+  // Means; mean hue wraps the short way round, and is the sum when either is neutral
+  const Lbp = (L1 + L2)/2, Cbp = (C1p + C2p)/2;
+  let hbp = h1p + h2p;
+  if (C1p*C2p !== 0) {
+    hbp = Math.abs(h1p - h2p) > 180
+      ? (hbp < 360 ? hbp + 360 : hbp - 360) / 2
+      : hbp / 2;
+  }
+
+  // Weighting functions and the blue-region rotation term
+  const T = 1 - 0.17*Math.cos((hbp - 30)*deg) + 0.24*Math.cos(2*hbp*deg)
+              + 0.32*Math.cos((3*hbp + 6)*deg) - 0.20*Math.cos((4*hbp - 63)*deg);
+  const SL = 1 + 0.015*(Lbp - 50)**2 / Math.sqrt(20 + (Lbp - 50)**2);
+  const SC = 1 + 0.045*Cbp;
+  const SH = 1 + 0.015*Cbp*T;
+  const RT = -2*Math.sqrt(Cbp**7 / (Cbp**7 + 25**7)) * Math.sin(60*deg*Math.exp(-(((hbp - 275)/25)**2)));
+
+  return Math.sqrt((dLp/SL)**2 + (dCp/SC)**2 + (dHp/SH)**2 + RT*(dCp/SC)*(dHp/SH));
+}
+
+export const DELTA_E = {
+  '76':   {label:'ΔE76 (CIE 1976)', fn:deltaE76},
+  '94':   {label:'ΔE94 (graphic arts)', fn:deltaE94},
+  '2000': {label:'ΔE2000 (CIEDE2000)', fn:deltaE2000},
+};
+
+// Brand-color acceptance: ΔE2000 under 2
+export const DEFAULT_TOLERANCE = {formula:'2000', max:2};
+
+// ΔE by formula key ('76' | '94' | '2000'); unknown keys fall back to ΔE2000
+export function deltaE(Lab1, Lab2, formula = '2000') {
+  return (DELTA_E[formula] || DELTA_E['2000']).fn(Lab1, Lab2);
+}
@@ -0,0 +1,194 @@
+/*
+  color/gamut.mjs — gamut checks and gamut mapping in Lab (D50)
+
+  What this does
+  --------------
+  Answers "can this Lab color be shown / printed?" for three kinds of gamut, and
+  moves out-of-gamut colors inside, reporting how far they had to move (ΔE):
+    • SRGB_GAMUT   — the display: Lab → linear sRGB lands inside [0,1]
+    • PRESS_GAMUT  — a typical coated offset press, modelled from the ISO 12647-2
+                     (paper type 1) solids as a cusp-triangle per hue; media-relative
+    • iccGamut(p)  — a loaded printer profile: Lab survives B2A1 → A2B1 within tolerance
+  Every gamut is just { name, Lmin, Lmax, contains(Lab) }, so mapping works the same on all.
+
+  Mapping methods (all keep hue)
+  ------------------------------
+    'clip'    lightness clamped, chroma cut straight to the boundary — what relative
+              colorimetric does; in-gamut colors are untouched
+    'hue'     hue-preserving compression — lightness scaled into the gamut’s range and
+              chroma compressed with a knee, so near-boundary colors move too and
+              gradations survive (the perceptual idea)
+    'chroma'  chroma-preserving — move toward the gray axis at the cusp’s lightness,
+              trading lightness for saturation (the saturation idea); each gamut’s
+              cusps are found once per hue and cached
+
+  API
+  ---
+  GAMUT_METHODS                        { clip, hue, chroma } → label
+  SRGB_GAMUT, PRESS_GAMUT, iccGamut(profile, tolerance = 2)
+  maxChroma(gamut, L, h)               → largest in-gamut chroma at L, h
+  mapToGamut(Lab, gamut, method)       → { Lab, inGamut, deltaE } (ΔE76 original → mapped)
+*/
+
+import { clamp, D50, lab_to_xyzD50, xyzD50_to_lab, labToLch, lchToLab, labToLinearRgbUnclamped } from './pipeline.mjs';
+import { profileLabToCmyk, profileCmykToLab } from './icc.mjs';
+import { deltaE76 } from './delta-e.mjs';
+
+export const GAMUT_METHODS = {
+  clip:   'Clip (hue & lightness kept)',
+  hue:    'Hue-preserving compression',
+  chroma: 'Chroma-preserving (toward cusp)',
+};
+
+// -----------------------------
+// Gamuts
+// -----------------------------
+
+// Display gamut: every linear sRGB channel within [0,1] (tiny slack for float noise)
+export const SRGB_GAMUT = {
+  name: 'sRGB',
+  Lmin: 0,
+  Lmax: 100,
+  contains(Lab) { return labToLinearRgbUnclamped(Lab).every(v => v >= -1e-4 && v <= 1 + 1e-4); },
+};
+
+// ISO 12647-2 (paper type 1, coated) characterization Lab values for paper, black and solids
+const PRESS_PAPER = [95, 0, -2];
+const PRESS_BLACK = [16, 0, 0];
+const PRESS_SOLIDS = {
+  C:[55, -37, -50], M:[48, 74, -3], Y:[89, -5, 93],
+  R:[47, 68, 48],   G:[50, -65, 27], B:[24, 22, -46],
+};
+// Media-relative: scale XYZ so the paper becomes the PCS white (as relative colorimetric does)
+const paperXYZ = lab_to_xyzD50(PRESS_PAPER);
+const toMediaRelative = (Lab) => xyzD50_to_lab(lab_to_xyzD50(Lab).map((v, i) => v * D50[i] / paperXYZ[i]));
+const PRESS_CUSPS = Object.values(PRESS_SOLIDS).map(s => labToLch(toMediaRelative(s))).sort((a, b) => a[2] - b[2]);
+const PRESS_L = [toMediaRelative(PRESS_BLACK)[0], 100];
+
+// Cusp (L, C) at hue h, interpolated between the neighbouring solids
+function pressCusp(h) {
+  const n = PRESS_CUSPS.length;
+  let i = PRESS_CUSPS.findIndex(c => c[2] > h);
+  if (i === -1) i = n;
+  const lo = PRESS_CUSPS[(i - 1 + n) % n], hi = PRESS_CUSPS[i % n];
+  const span = ((hi[2] - lo[2]) + 360) % 360 || 360;
+  const t = (((h - lo[2]) + 360) % 360) / span;
+  return [lo[0] + (hi[0] - lo[0])*t, lo[1] + (hi[1] - lo[1])*t];
+}
+
+export const PRESS_GAMUT = {
+  name: 'Coated press (ISO 12647-2, approx.)',
+  Lmin: PRESS_L[0],
+  Lmax: PRESS_L[1],
+  contains(Lab) {
+    const [L, C, h] = labToLch(Lab);
+    if (L < this.Lmin - 1e-3 || L > this.Lmax + 1e-3) return false;
+    const [Lc, Cc] = pressCusp(h);
+    const limit = (L >= Lc)
+      ? Cc * (this.Lmax - L) / (this.Lmax - Lc)
+      : Cc * (L - this.Lmin) / (Lc - this.Lmin);
+    return C <= Math.max(limit, 0) + 1e-3;
+  },
+};
+
+// A printer profile's gamut: colors that come back from a colorimetric round trip
+// within `tolerance` ΔE76 are printable
+export function iccGamut(profile, tolerance = 2) {
+  const roundTrip = (Lab) => profileCmykToLab(profile, profileLabToCmyk(profile, Lab, 1), 1);
+  return {
+    name: profile.description,
+    Lmin: roundTrip([0, 0, 0])[0],
+    Lmax: roundTrip([100, 0, 0])[0],
+    contains(Lab) { return deltaE76(Lab, roundTrip(Lab)) <= tolerance; },
+  };
+}
+
+// -----------------------------
+// Boundary search
+// -----------------------------
+
+// Largest chroma at (L, h) that is still in gamut (bisection; the gamuts are convex enough per hue)
+export function maxChroma(gamut, L, h) {
+  if (!gamut.contains(lchToLab([L, 0, h]))) return 0;
+  let lo = 0, hi = 200;
+  for (let i = 0; i < 24; i++) {
+    const mid = (lo + hi) / 2;
+    if (gamut.contains(lchToLab([L, mid, h]))) lo = mid; else hi = mid;
+  }
+  return lo;
+}
+
+// Cusps already found, per gamut object and per hue rounded to CUSP_HUE_STEP degrees.
+// A scan costs hundreds of contains() calls, and for iccGamut each is a profile round trip
+const CUSP_HUE_STEP = 0.5;
+const cusps = new WeakMap();
+
+// Lightness with the most chroma at hue h, from the cache when that hue was scanned before
+function cuspAt(gamut, h) {
+  let known = cusps.get(gamut);
+  if (!known) cusps.set(gamut, known = new Map());
+  const key = Math.round((((h % 360) + 360) % 360) / CUSP_HUE_STEP) % (360 / CUSP_HUE_STEP);
+  if (!known.has(key)) known.set(key, scanCusp(gamut, key * CUSP_HUE_STEP));
+  return known.get(key);
+}
+
+// Coarse scan for the cusp, then a finer one around the best step
+function scanCusp(gamut, h) {
+  let best = [gamut.Lmin, 0];
+  const scan = (from, to, steps) => {
+    for (let i = 0; i <= steps; i++) {
+      const L = from + (to - from) * i / steps;
+      const C = maxChroma(gamut, L, h);
+      if (C > best[1]) best = [L, C];
+    }
+  };
+  const step = (gamut.Lmax - gamut.Lmin) / 16;
+  scan(gamut.Lmin, gamut.Lmax, 16);
+  scan(Math.max(best[0] - step, gamut.Lmin), Math.min(best[0] + step, gamut.Lmax), 8);
+  return best;
+}
+
+// -----------------------------
+// Mapping
+// -----------------------------
+
+// Knee for hue-preserving compression: chroma below knee·Cmax is left alone
+const COMPRESS_KNEE = 0.8;
+// How far past the boundary the compression reaches before it saturates (× Cmax)
+const COMPRESS_REACH = 1.6;
+
+const mappers = {
+  clip(gamut, [L, C, h]) {
+    const Lc = clamp(L, gamut.Lmin, gamut.Lmax);
+    return [Lc, Math.min(C, maxChroma(gamut, Lc, h)), h];
+  },
+  hue(gamut, [L, C, h]) {
+    const Lc = gamut.Lmin + (gamut.Lmax - gamut.Lmin) * clamp(L, 0, 100) / 100;
+    const Cmax = maxChroma(gamut, Lc, h);
+    const knee = COMPRESS_KNEE * Cmax;
+    if (C <= knee) return [Lc, C, h];
+    // Map [knee, REACH·Cmax] smoothly onto [knee, Cmax]; anything beyond lands on the boundary
+    const t = clamp((C - knee) / (COMPRESS_REACH*Cmax - knee), 0, 1);
+    return [Lc, knee + (Cmax - knee) * Math.sin(t * Math.PI / 2), h];
+  },
+  chroma(gamut, [L, C, h]) {
+    const [Lcusp] = cuspAt(gamut, h);
+    // Walk from the color toward (Lcusp, 0) until the first in-gamut point
+    const at = (t) => [L + (Lcusp - L)*t, C*(1 - t), h];
+    let lo = 0, hi = 1;
+    for (let i = 0; i < 24; i++) {
+      const mid = (lo + hi) / 2;
+      if (gamut.contains(lchToLab(at(mid)))) hi = mid; else lo = mid;
+    }
+    return at(hi);
+  },
+};
+
+// Bring a Lab color inside `gamut`; 'clip' and 'chroma' leave in-gamut colors alone
+export function mapToGamut(Lab, gamut, method = 'clip') {
+  const inGamut = gamut.contains(Lab);
+  const mapper = mappers[method] || mappers.clip;
+  if (inGamut && method !== 'hue') return {Lab: Lab.slice(), inGamut, deltaE: 0};
+  const mapped = lchToLab(mapper(gamut, labToLch(Lab)));
+  return {Lab: mapped, inGamut, deltaE: deltaE76(Lab, mapped)};
+}
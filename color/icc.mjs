@@ -0,0 +1,371 @@
+/*
+  color/icc.mjs — minimal ICC color management for CMYK output profiles
+
+  What this does
+  --------------
+  Reads a local .icc/.icm printer profile (v2 or v4) and evaluates its lookup
+  tables, so the sandbox can show real separations instead of approximations:
+      Lab (D50, PCS) → B2A<intent> → CMYK → A2B1 → Lab of the printed result
+  Everything runs in memory from an ArrayBuffer; nothing touches the network.
+
+  Supported
+  ---------
+  • Device class 'prtr' (output) with a CMYK data color space, PCS Lab or XYZ
+  • LUT tag types lut8Type ('mft1'), lut16Type ('mft2'), lutAtoBType ('mAB '),
+    lutBtoAType ('mBA ') with 'curv'/'para' curves and multilinear CLUT interpolation
+  • Absolute colorimetric via the media white point ('wtpt'), per ICC.1 Annex D
+  • Every A2B/B2A intent table is compiled and checked when the profile is parsed, so
+    a damaged or unsupported one is rejected at load, not on the first lookup needing it
+  Not supported: matrix/TRC-only profiles, named-color, DeviceLink, black point
+  compensation. It's a teaching CMM, not LittleCMS.
+
+  API
+  ---
+  ICC_INTENTS                        [{ name, id }] — ICC intent numbers 0..3
+  parseIccProfile(buffer)            → profile; throws Error with a readable message
+                                       (also for any intent table that won’t compile)
+  profileLabToCmyk(profile, Lab, id) → {C,M,Y,K} in 0..1
+  profileCmykToLab(profile, cmyk, id)→ Lab (D50); absolute for id 3, else relative
+  iccConvertIntent(profile, Lab, id) → { Lab, lin, cmyk, rgb, hex } (same shape as convertIntent)
+*/
+
+import { clamp, D50, lab_to_xyzD50, xyzD50_to_lab, labToLinearRgbViaD50, linearToSrgb, rgbToHex } from './pipeline.mjs';
+
+// ICC rendering intents in the order the sandbox table shows them
+export const ICC_INTENTS = [
+  {name:'Perceptual', id:0},
+  {name:'Relative colorimetric', id:1},
+  {name:'Saturation', id:2},
+  {name:'Absolute colorimetric', id:3},
+];
+
+// Big-endian readers over a DataView
+const sig = (view, off) => String.fromCharCode(view.getUint8(off), view.getUint8(off+1), view.getUint8(off+2), view.getUint8(off+3));
+const s15f16 = (view, off) => view.getInt32(off) / 65536;
+
+// Parse the 128-byte header, tag table, description and media white, then compile the
+// intent tables
+export function parseIccProfile(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.byteLength < 132 || sig(view, 36) !== 'acsp') {
+    throw new Error('Not an ICC profile (missing the “acsp” signature).');
+  }
+  const deviceClass = sig(view, 12), colorSpace = sig(view, 16), pcs = sig(view, 20);
+  if (deviceClass !== 'prtr' || colorSpace !== 'CMYK') {
+    throw new Error(`Expected a CMYK printer (output) profile, got class “${deviceClass.trim()}” / “${colorSpace.trim()}”.`);
+  }
+  if (pcs !== 'Lab ' && pcs !== 'XYZ ') {
+    throw new Error(`Unsupported profile connection space “${pcs.trim()}”.`);
+  }
+
+  const tags = {};
+  const count = view.getUint32(128);
+  for (let i = 0; i < count; i++) {
+    const off = 132 + i*12;
+    if (off + 12 > bytes.byteLength) throw new Error('Profile tag table is truncated.');
+    tags[sig(view, off)] = {offset:view.getUint32(off+4), size:view.getUint32(off+8)};
+  }
+  if (!tags.B2A0 && !tags.B2A1) {
+    throw new Error('Profile has no B2A tables (PCS → CMYK), so it can’t be used for output.');
+  }
+
+  const profile = {
+    view, tags, pcs, luts:{},
+    version: `${view.getUint8(8)}.${view.getUint8(9) >> 4}`,
+    description: readText(view, tags.desc) || 'Untitled profile',
+    mediaWhite: readXYZ(view, tags.wtpt) || D50.slice(),
+  };
+  LUT_TAGS.forEach(tagSig => checkLut(profile, tagSig));
+  if (!profile.luts.A2B0 && !profile.luts.A2B1) {
+    throw new Error('Profile has no A2B tables (CMYK → PCS), so printed colors can’t be previewed.');
+  }
+  return profile;
+}
+
+// 'desc' (v2 textDescriptionType) or 'mluc' (v4 multiLocalizedUnicodeType) → string
+function readText(view, tag) {
+  if (!tag) return '';
+  const type = sig(view, tag.offset);
+  if (type === 'desc') {
+    const n = view.getUint32(tag.offset + 8);
+    let s = '';
+    for (let i = 0; i < n; i++) { const c = view.getUint8(tag.offset + 12 + i); if (!c) break; s += String.fromCharCode(c); }
+    return s.trim();
+  }
+  if (type === 'mluc' && view.getUint32(tag.offset + 8) > 0) {
+    const len = view.getUint32(tag.offset + 20), off = tag.offset + view.getUint32(tag.offset + 24);
+    let s = '';
+    for (let i = 0; i + 1 < len; i += 2) s += String.fromCharCode(view.getUint16(off + i));
+    return s.replace(/\0+$/, '').trim();
+  }
+  if (type === 'text') {
+    let s = '';
+    for (let i = 8; i < tag.size; i++) { const c = view.getUint8(tag.offset + i); if (!c) break; s += String.fromCharCode(c); }
+    return s.trim();
+  }
+  return '';
+}
+
+// 'XYZ ' tag → [X,Y,Z]
+function readXYZ(view, tag) {
+  if (!tag || sig(view, tag.offset) !== 'XYZ ') return null;
+  return [0, 4, 8].map(i => s15f16(view, tag.offset + 8 + i));
+}
+
+// -----------------------------
+// Curves, CLUTs and matrices — all work on normalized 0..1 values
+// -----------------------------
+
+// Sampled table (already normalized) → piecewise-linear curve
+function tableCurve(table) {
+  const n = table.length - 1;
+  return (x) => {
+    const p = clamp(x, 0, 1) * n, i = Math.min(Math.floor(p), n - 1), t = p - i;
+    return n < 1 ? table[0] : table[i] + (table[i+1] - table[i]) * t;
+  };
+}
+
+// 'curv' or 'para' at `off` → { fn, size } (size is padded to 4 bytes)
+function readCurve(view, off) {
+  const type = sig(view, off);
+  if (type === 'curv') {
+    const n = view.getUint32(off + 8);
+    const size = 12 + 2*n;
+    let fn;
+    if (n === 0) fn = (x) => x;
+    else if (n === 1) { const g = view.getUint16(off + 12) / 256; fn = (x) => Math.pow(clamp(x, 0, 1), g); }
+    else fn = tableCurve(Array.from({length:n}, (_, i) => view.getUint16(off + 12 + 2*i) / 65535));
+    return {fn, size:(size + 3) & ~3};
+  }
+  if (type === 'para') {
+    const kind = view.getUint16(off + 8);
+    const nParams = [1, 3, 4, 5, 7][kind];
+    if (nParams === undefined) throw new Error(`Unknown parametric curve type ${kind}.`);
+    const [g, a, b, c, d, e, f] = Array.from({length:nParams}, (_, i) => s15f16(view, off + 12 + 4*i));
+    const pow = (v) => v > 0 ? Math.pow(v, g) : 0;
+    const fns = [
+      (x) => pow(x),
+      (x) => x >= -b/a ? pow(a*x + b) : 0,
+      (x) => x >= -b/a ? pow(a*x + b) + c : c,
+      (x) => x >= d ? pow(a*x + b) : c*x,
+      (x) => x >= d ? pow(a*x + b) + e : c*x + f,
+    ];
+    return {fn:(x) => clamp(fns[kind](x), 0, 1), size:(12 + 4*nParams + 3) & ~3};
+  }
+  throw new Error(`Unsupported curve type “${type}”.`);
+}
+function readCurves(view, off, count) {
+  const out = [];
+  for (let i = 0; i < count; i++) { const c = readCurve(view, off); out.push(c.fn); off += c.size; }
+  return out;
+}
+
+// Multilinear interpolation in an N-dimensional grid; first input varies slowest
+function makeClut(grid, outCh, data) {
+  const n = grid.length;
+  const strides = new Array(n);
+  let s = outCh;
+  for (let d = n - 1; d >= 0; d--) { strides[d] = s; s *= grid[d]; }
+  return (inp) => {
+    const frac = new Array(n);
+    let origin = 0;
+    for (let d = 0; d < n; d++) {
+      const p = clamp(inp[d], 0, 1) * (grid[d] - 1);
+      const i = Math.min(Math.floor(p), Math.max(grid[d] - 2, 0));
+      frac[d] = p - i;
+      origin += i * strides[d];
+    }
+    const out = new Array(outCh).fill(0);
+    for (let corner = 0; corner < (1 << n); corner++) {
+      let w = 1, off = origin;
+      for (let d = 0; d < n; d++) {
+        const bit = (corner >> (n - 1 - d)) & 1;
+        if (bit && grid[d] < 2) { w = 0; break; }
+        w *= bit ? frac[d] : 1 - frac[d];
+        off += bit * strides[d];
+      }
+      if (!w) continue;
+      for (let o = 0; o < outCh; o++) out[o] += w * data[off + o];
+    }
+    return out;
+  };
+}
+
+// 3×3 (+ optional offset) matrix on a 3-vector
+const applyMatrix = (m, off, v) => [0, 1, 2].map(r => m[r][0]*v[0] + m[r][1]*v[1] + m[r][2]*v[2] + (off ? off[r] : 0));
+function readMatrix(view, off) {
+  return [0, 1, 2].map(r => [0, 1, 2].map(c => s15f16(view, off + 4*(r*3 + c))));
+}
+
+// lut8Type / lut16Type → transform
+function readLutN(view, off, wide) {
+  const inCh = view.getUint8(off + 8), outCh = view.getUint8(off + 9), gridPts = view.getUint8(off + 10);
+  const matrix = readMatrix(view, off + 12);
+  const read = wide ? (o) => view.getUint16(o) / 65535 : (o) => view.getUint8(o) / 255;
+  const bytes = wide ? 2 : 1;
+  let p = off + 48;
+  let nIn = 256, nOut = 256;
+  if (wide) { nIn = view.getUint16(off + 48); nOut = view.getUint16(off + 50); p = off + 52; }
+
+  const table = (n) => { const t = Array.from({length:n}, (_, i) => read(p + i*bytes)); p += n*bytes; return tableCurve(t); };
+  const inCurves = Array.from({length:inCh}, () => table(nIn));
+  const clutSize = Math.pow(gridPts, inCh) * outCh;
+  const data = new Float64Array(clutSize);
+  for (let i = 0; i < clutSize; i++) data[i] = read(p + i*bytes);
+  p += clutSize*bytes;
+  const clut = makeClut(new Array(inCh).fill(gridPts), outCh, data);
+  const outCurves = Array.from({length:outCh}, () => table(nOut));
+
+  return {
+    inCh, outCh, legacyLab:wide, matrix,
+    eval(v, pcsIsXYZ) {
+      if (pcsIsXYZ && inCh === 3) v = applyMatrix(matrix, null, v);
+      v = v.map((x, i) => inCurves[i](x));
+      return clut(v).map((x, i) => outCurves[i](x));
+    },
+  };
+}
+
+// lutAtoBType / lutBtoAType → transform
+function readLutAB(view, off, isAtoB) {
+  const inCh = view.getUint8(off + 8), outCh = view.getUint8(off + 9);
+  const at = (k) => { const o = view.getUint32(off + 12 + 4*k); return o ? off + o : 0; };
+  const [oB, oMatrix, oM, oClut, oA] = [0, 1, 2, 3, 4].map(at);
+
+  // Matrix/M/B curves sit on the PCS side: output for A→B, input for B→A
+  const pcsCh = isAtoB ? outCh : inCh;
+  const B = oB ? readCurves(view, oB, pcsCh) : null;
+  const Mc = oM ? readCurves(view, oM, pcsCh) : null;
+  const A = oA ? readCurves(view, oA, isAtoB ? inCh : outCh) : null;
+  let matrix = null, mOff = null;
+  if (oMatrix) {
+    matrix = readMatrix(view, oMatrix);
+    mOff = [0, 1, 2].map(i => s15f16(view, oMatrix + 36 + 4*i));
+  }
+  let clut = null;
+  if (oClut) {
+    const grid = Array.from({length:inCh}, (_, i) => view.getUint8(oClut + i));
+    const precision = view.getUint8(oClut + 16);
+    const total = grid.reduce((a, b) => a*b, 1) * outCh;
+    const data = new Float64Array(total);
+    for (let i = 0; i < total; i++) {
+      data[i] = precision === 1 ? view.getUint8(oClut + 20 + i) / 255 : view.getUint16(oClut + 20 + 2*i) / 65535;
+    }
+    clut = makeClut(grid, outCh, data);
+  }
+
+  const curves = (cs, v) => cs ? v.map((x, i) => cs[i](x)) : v;
+  const mat = (v) => matrix ? applyMatrix(matrix, mOff, v).map(x => clamp(x, 0, 1)) : v;
+  const lut = (v) => clut ? clut(v) : v;
+
+  return {
+    inCh, outCh, legacyLab:false,
+    eval: isAtoB
+      ? (v) => curves(B, mat(curves(Mc, lut(curves(A, v)))))
+      : (v) => curves(A, lut(curves(Mc, mat(curves(B, v))))),
+  };
+}
+
+// Compile (and cache) one LUT tag, or null if the profile doesn't carry it. The tag is
+// read through a view of its own bytes, so a table that overruns its tag can't read
+// its neighbours
+function getLut(profile, tagSig) {
+  if (tagSig in profile.luts) return profile.luts[tagSig];
+  const tag = profile.tags[tagSig];
+  let lut = null;
+  if (tag) {
+    let type;
+    try {
+      const view = new DataView(profile.view.buffer, profile.view.byteOffset + tag.offset, tag.size);
+      type = sig(view, 0);
+      if (type === 'mft1') lut = readLutN(view, 0, false);
+      else if (type === 'mft2') lut = readLutN(view, 0, true);
+      else if (type === 'mAB ') lut = readLutAB(view, 0, true);
+      else if (type === 'mBA ') lut = readLutAB(view, 0, false);
+    } catch (err) {
+      if (err instanceof RangeError) throw new Error(`The ${tagSig} table is truncated.`);
+      throw err;
+    }
+    if (!lut) throw new Error(`Unsupported LUT type “${type}” in ${tagSig}.`);
+  }
+  profile.luts[tagSig] = lut;
+  return lut;
+}
+
+// The intent tables a profile may carry: B2A for separations, A2B for the preview
+const LUT_TAGS = ['B2A0', 'B2A1', 'B2A2', 'A2B0', 'A2B1', 'A2B2'];
+
+// Compile one intent table at load and check it maps the channels its direction needs
+// (B2A: PCS 3 → CMYK 4, A2B: 4 → 3) to finite values
+function checkLut(profile, tagSig) {
+  const lut = getLut(profile, tagSig);
+  if (!lut) return;
+  const [inCh, outCh] = tagSig.startsWith('B2A') ? [3, 4] : [4, 3];
+  if (lut.inCh !== inCh || lut.outCh !== outCh) {
+    throw new Error(`The ${tagSig} table maps ${lut.inCh} → ${lut.outCh} channels; expected ${inCh} → ${outCh}.`);
+  }
+  if (!lut.eval(new Array(inCh).fill(0.5), false).every(Number.isFinite)) {
+    throw new Error(`The ${tagSig} table doesn’t give usable values.`);
+  }
+}
+
+// Pick the tag for an intent, falling back to the perceptual (0) table as ICC.1 allows
+function lutFor(profile, dir, intent) {
+  const id = intent === 3 ? 1 : intent;
+  const lut = getLut(profile, `${dir}${id}`) || getLut(profile, `${dir}0`) || getLut(profile, `${dir}1`);
+  if (!lut) throw new Error(`Profile has no ${dir} table for intent ${intent}.`);
+  return lut;
+}
+
+// -----------------------------
+// PCS encoding (Lab legacy 16-bit for lut16Type, v4 encoding otherwise; XYZ u1Fixed15)
+// -----------------------------
+function encodePcs(profile, lut, Lab) {
+  if (profile.pcs === 'XYZ ') return lab_to_xyzD50(Lab).map(v => clamp(v * 32768/65535, 0, 1));
+  const [L, a, b] = Lab;
+  const enc = lut.legacyLab
+    ? [L/100 * 0xFF00, (a + 128) * 256, (b + 128) * 256].map(v => v / 0xFFFF)
+    : [L/100, (a + 128)/255, (b + 128)/255];
+  return enc.map(v => clamp(v, 0, 1));
+}
+function decodePcs(profile, lut, v) {
+  if (profile.pcs === 'XYZ ') return xyzD50_to_lab(v.map(x => x * 65535/32768));
+  return lut.legacyLab
+    ? [v[0]*0xFFFF / 0xFF00 * 100, v[1]*0xFFFF/256 - 128, v[2]*0xFFFF/256 - 128]
+    : [v[0]*100, v[1]*255 - 128, v[2]*255 - 128];
+}
+
+// Media-relative ⇄ ICC-absolute colorimetry: scale XYZ by mediaWhite / D50
+function toAbsolute(profile, Lab) {
+  const w = profile.mediaWhite;
+  return xyzD50_to_lab(lab_to_xyzD50(Lab).map((v, i) => v * w[i] / D50[i]));
+}
+function toRelative(profile, Lab) {
+  const w = profile.mediaWhite;
+  return xyzD50_to_lab(lab_to_xyzD50(Lab).map((v, i) => v * D50[i] / w[i]));
+}
+
+// Lab (D50) → CMYK through the profile's B2A table for `intent`
+export function profileLabToCmyk(profile, Lab, intent) {
+  const lut = lutFor(profile, 'B2A', intent);
+  const pcs = intent === 3 ? toRelative(profile, Lab) : Lab;
+  const [C, M, Y, K] = lut.eval(encodePcs(profile, lut, pcs), profile.pcs === 'XYZ ').map(v => clamp(v, 0, 1));
+  return {C, M, Y, K};
+}
+
+// CMYK → Lab (D50) through the colorimetric A2B table; absolute for intent 3
+export function profileCmykToLab(profile, {C, M, Y, K}, intent) {
+  const lut = lutFor(profile, 'A2B', 1);
+  const Lab = decodePcs(profile, lut, lut.eval([C, M, Y, K]));
+  return intent === 3 ? toAbsolute(profile, Lab) : Lab;
+}
+
+// One intent row through the profile: CMYK separation plus the Lab it prints as
+export function iccConvertIntent(profile, Lab, intent) {
+  const cmyk = profileLabToCmyk(profile, Lab, intent);
+  const Lab_p = profileCmykToLab(profile, cmyk, intent);
+  const lin = labToLinearRgbViaD50(Lab_p);
+  const rgb = lin.map(linearToSrgb);
+  return {Lab: Lab_p, lin, cmyk, rgb, hex: rgbToHex(rgb)};
+}
@@ -0,0 +1,64 @@
+/*
+  color/intent-rows.mjs — one color through every rendering intent, scored
+
+  What this does
+  --------------
+  Builds the rows of the sandbox’s intent table, which rgb2cmyk prints too, for one
+  input Lab: the Lab approximations with the naïve separation (pipeline.mjs), or a
+  loaded printer profile’s real intents (icc.mjs) with the naïve row kept for contrast.
+  Every row is scored the same way wherever it’s shown: total ink (TAC), ΔE from the
+  input against a tolerance, and where it lands relative to the print gamut. No DOM.
+
+  API
+  ---
+  intentRows(Lab, options) → [{ name, gamut, out, tac, deltaE, pass, inGamut }]
+    options: { profile, black, inks, tolerance, printGamut } — all optional:
+      profile     parsed ICC profile (parseIccProfile); null for the approximations
+      black       naïve black generation (DEFAULT_BLACK); inks: INK_MODELS key (DEFAULT_INKS)
+      tolerance   { formula, max } (DEFAULT_TOLERANCE)
+      printGamut  gamut to check against; the profile’s (iccGamut) or PRESS_GAMUT
+    out:     convertIntent / iccConvertIntent output ({ Lab, lin, cmyk, rgb, hex })
+    gamut:   the row’s GAMUT_METHODS key, or null for profile rows
+    inGamut: mapToGamut(out.Lab) for approximations; for profile rows, whether the
+             input is in gamut and how far the profile moved it ({ inGamut, deltaE })
+*/
+
+import { INTENTS, convertIntent, intent_naive, totalAreaCoverage, DEFAULT_BLACK, DEFAULT_INKS } from './pipeline.mjs';
+import { ICC_INTENTS, iccConvertIntent } from './icc.mjs';
+import { PRESS_GAMUT, iccGamut, mapToGamut } from './gamut.mjs';
+import { DEFAULT_TOLERANCE, deltaE, deltaE76 } from './delta-e.mjs';
+
+// The naïve row, shown beside a profile’s intents for contrast
+const NAIVE = INTENTS.find(e => e.fn === intent_naive);
+
+// Unscored rows: black generation and preview inks only apply to the naïve
+// separations; a profile brings its own
+function buildRows(Lab, {profile, black, inks}) {
+  if (!profile) return INTENTS.map(e => ({name:e.name, gamut:e.gamut, out:convertIntent(Lab, e.fn, black, inks)}));
+  return [
+    ...ICC_INTENTS.map(i => ({name:`${i.name} (ICC)`, gamut:null, out:iccConvertIntent(profile, Lab, i.id)})),
+    {name:NAIVE.name, gamut:NAIVE.gamut, out:convertIntent(Lab, NAIVE.fn, black, inks)},
+  ];
+}
+
+// Gamut check for one row. Approximations are mapped with their intent’s method;
+// profile rows already went through the profile, so report the input → printed drift
+function rowGamut(row, inputLab, gamut) {
+  if (!row.gamut) return {inGamut:gamut.contains(inputLab), deltaE:deltaE76(inputLab, row.out.Lab)};
+  return mapToGamut(row.out.Lab, gamut, row.gamut);
+}
+
+export function intentRows(Lab, options = {}) {
+  const {profile = null, black = DEFAULT_BLACK, inks = DEFAULT_INKS, tolerance = DEFAULT_TOLERANCE} = options;
+  const gamut = options.printGamut || (profile ? iccGamut(profile) : PRESS_GAMUT);
+  return buildRows(Lab, {profile, black, inks}).map(row => {
+    const d = deltaE(Lab, row.out.Lab, tolerance.formula);
+    return {
+      ...row,
+      tac: totalAreaCoverage(row.out.cmyk),
+      deltaE: d,
+      pass: d < tolerance.max,
+      inGamut: rowGamut(row, Lab, gamut),
+    };
+  });
+}
@@ -0,0 +1,208 @@
+/*
+  color/palette-files.mjs — Adobe ASE, GIMP GPL and CSS custom property palettes
+
+  What this does
+  --------------
+  Reads and writes the palette files designers and printers swap, entirely in memory
+  (ArrayBuffer / string in, ArrayBuffer / string out) so it runs in the browser with
+  no upload. No DOM and no color math beyond the file formats’ own encodings.
+  • ASE  Adobe Swatch Exchange (binary, big-endian). Reads RGB, CMYK, LAB and Gray
+         swatches, including ones inside groups; writes CMYK (or RGB) swatches, as
+         process colors or, flagged `spot`, as spot colors.
+  • GPL  GIMP palette (text). RGB only by design, so CMYK exports keep the preview
+         color as RGB and carry the ink values in each swatch name.
+  • CSS  custom properties. Reads `--name: <color>;` declarations; writes the preview
+         color plus a `device-cmyk()` companion property per swatch.
+
+  Swatches read in come back as CSS color strings the pipeline parses (rgb(), lab(),
+  color(srgb …)). CMYK swatches are read through the same ideal-ink model the sandbox
+  separates with (pipeline.mjs cmyk_to_rgb), so exported inks load back as their preview.
+
+  API
+  ---
+  readAse(buffer)                → [{ name, color, spot }]; throws Error on a malformed file
+  writeAse(swatches)             → ArrayBuffer
+  readGpl(text)                  → [{ name, color }]; throws Error when the header is missing
+  writeGpl(swatches, title)      → string
+  readCssProperties(text)        → [{ name, color }]
+  writeCssProperties(swatches, title) → string
+  readPaletteFile(filename, buffer) → [{ name, color }] or null when it isn’t ASE/GPL/CSS
+    swatches to write: [{ name, hex, cmyk?: { C, M, Y, K }, spot? }]  (ink 0..1; spot: ASE only)
+*/
+
+import { cmyk_to_rgb, parseColor } from './pipeline.mjs';
+
+// -----------------------------
+// Adobe Swatch Exchange (.ase)
+// -----------------------------
+
+// Block types: 0xC001 group start and 0xC002 group end hold only a name; 0x0001 is a color
+const ASE_COLOR = 0x0001;
+// Color type written after the values: 0 global, 1 spot, 2 normal (process)
+const ASE_SPOT = 1, ASE_NORMAL = 2;
+
+// Trim float noise off file values before they become CSS strings
+const fix = (v, d = 4) => Number(v.toFixed(d));
+// #rrggbb → [r, g, b] in 0..1
+const hexChannels = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+
+// One ASE color model + its float values → a CSS color string
+function aseColor(model, v) {
+  switch (model) {
+    case 'RGB ': return `color(srgb ${v.map(x => fix(x)).join(' ')})`;
+    case 'LAB ': return `lab(${fix(v[0]*100, 2)} ${fix(v[1], 2)} ${fix(v[2], 2)})`;
+    case 'Gray': return `color(srgb ${fix(v[0])} ${fix(v[0])} ${fix(v[0])})`;
+    case 'CMYK': {
+      const rgb = cmyk_to_rgb({C:v[0], M:v[1], Y:v[2], K:v[3]});
+      return `color(srgb ${rgb.map(x => fix(x)).join(' ')})`;
+    }
+    default: return null;
+  }
+}
+const ASE_CHANNELS = {'RGB ':3, 'LAB ':3, 'Gray':1, 'CMYK':4};
+
+export function readAse(buffer) {
+  const view = new DataView(buffer);
+  const text4 = (at) => String.fromCharCode(...new Uint8Array(buffer, at, 4));
+  if (buffer.byteLength < 12 || text4(0) !== 'ASEF') throw new Error('not an Adobe Swatch Exchange file (missing ASEF signature).');
+  const count = view.getUint32(8);
+  const swatches = [];
+  let pos = 12;
+  for (let i = 0; i < count; i++) {
+    if (pos + 6 > buffer.byteLength) throw new Error('file is truncated.');
+    const type = view.getUint16(pos), length = view.getUint32(pos + 2);
+    const start = pos + 6;
+    pos = start + length;
+    if (pos > buffer.byteLength) throw new Error('file is truncated.');
+    if (type !== ASE_COLOR) continue; // group start/end carry only a name
+
+    // Name: UTF-16BE with a length (in code units) that counts the trailing NUL
+    const nameLen = view.getUint16(start);
+    let name = '';
+    for (let j = 0; j < nameLen - 1; j++) name += String.fromCharCode(view.getUint16(start + 2 + j*2));
+    const at = start + 2 + nameLen*2;
+    const model = text4(at);
+    const n = ASE_CHANNELS[model];
+    if (!n) continue; // unknown model: skip the swatch, keep the rest
+    const values = Array.from({length:n}, (_, k) => view.getFloat32(at + 4 + k*4));
+    const spot = at + 4 + n*4 + 2 <= pos && view.getUint16(at + 4 + n*4) === ASE_SPOT;
+    swatches.push({name, color:aseColor(model, values), spot});
+  }
+  return swatches;
+}
+
+export function writeAse(swatches) {
+  // Size first: header + one color block per swatch
+  const blocks = swatches.map(s => {
+    const name = String(s.name || s.hex);
+    const values = s.cmyk ? [s.cmyk.C, s.cmyk.M, s.cmyk.Y, s.cmyk.K] : hexChannels(s.hex);
+    const length = 2 + (name.length + 1)*2 + 4 + values.length*4 + 2;
+    return {name, model:s.cmyk ? 'CMYK' : 'RGB ', values, length, kind:s.spot ? ASE_SPOT : ASE_NORMAL};
+  });
+  const size = 12 + blocks.reduce((n, b) => n + 6 + b.length, 0);
+  const view = new DataView(new ArrayBuffer(size));
+  const ascii = (at, str) => [...str].forEach((ch, k) => view.setUint8(at + k, ch.charCodeAt(0)));
+
+  ascii(0, 'ASEF');
+  view.setUint16(4, 1);
+  view.setUint16(6, 0);
+  view.setUint32(8, blocks.length);
+  let pos = 12;
+  blocks.forEach(b => {
+    view.setUint16(pos, ASE_COLOR);
+    view.setUint32(pos + 2, b.length);
+    let at = pos + 6;
+    view.setUint16(at, b.name.length + 1);
+    for (let j = 0; j < b.name.length; j++) view.setUint16(at + 2 + j*2, b.name.charCodeAt(j));
+    at += 2 + (b.name.length + 1)*2; // includes the NUL left as zero
+    ascii(at, b.model);
+    b.values.forEach((v, k) => view.setFloat32(at + 4 + k*4, v));
+    view.setUint16(at + 4 + b.values.length*4, b.kind);
+    pos += 6 + b.length;
+  });
+  return view.buffer;
+}
+
+// -----------------------------
+// GIMP palette (.gpl)
+// -----------------------------
+
+export function readGpl(text) {
+  const lines = String(text).split(/\r?\n/);
+  if (!/^GIMP Palette/.test(lines[0] || '')) throw new Error('not a GIMP palette (missing “GIMP Palette” header).');
+  const swatches = [];
+  lines.slice(1).forEach(line => {
+    const m = /^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})\s*(.*)$/.exec(line);
+    if (!m) return; // Name:, Columns:, comments
+    const rgb = [m[1], m[2], m[3]].map(v => Math.min(+v, 255));
+    swatches.push({name:m[4].trim(), color:`rgb(${rgb.join(' ')})`});
+  });
+  return swatches;
+}
+
+// Ink values as a short label, e.g. "C37 M0 Y33 K41"
+const inkLabel = ({C, M, Y, K}) => `C${Math.round(C*100)} M${Math.round(M*100)} Y${Math.round(Y*100)} K${Math.round(K*100)}`;
+
+export function writeGpl(swatches, title = 'Palette') {
+  const lines = ['GIMP Palette', `Name: ${title}`, 'Columns: 0', '#'];
+  if (swatches.some(s => s.cmyk)) lines.push('# GPL stores RGB only: colors are the CMYK preview, ink values are in the names.', '#');
+  swatches.forEach(s => {
+    const rgb = hexChannels(s.hex).map(v => String(Math.round(v*255)).padStart(3));
+    const name = [s.name, s.cmyk && inkLabel(s.cmyk)].filter(Boolean).join(' ');
+    lines.push(`${rgb.join(' ')}\t${name || s.hex}`);
+  });
+  return lines.join('\n') + '\n';
+}
+
+// -----------------------------
+// CSS custom properties
+// -----------------------------
+
+export function readCssProperties(text) {
+  const swatches = [];
+  const re = /--([\w-]+)\s*:\s*([^;{}]+);/g;
+  let m;
+  while ((m = re.exec(String(text)))) {
+    const value = m[2].trim();
+    if (parseColor(value)) swatches.push({name:m[1], color:value});
+  }
+  return swatches;
+}
+
+// Swatch name → custom property name ("Brand green" → "brand-green"), made unique
+function propertyNames(swatches) {
+  const seen = {};
+  return swatches.map(s => {
+    const base = String(s.name || s.hex).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'color';
+    seen[base] = (seen[base] || 0) + 1;
+    return seen[base] === 1 ? base : `${base}-${seen[base]}`;
+  });
+}
+
+export function writeCssProperties(swatches, title = 'Palette') {
+  const names = propertyNames(swatches);
+  const lines = [`/* ${title.replace(/\*\//g, '')} */`, ':root {'];
+  swatches.forEach((s, i) => {
+    lines.push(`  --${names[i]}: ${s.hex};`);
+    if (s.cmyk) {
+      const {C, M, Y, K} = s.cmyk;
+      lines.push(`  --${names[i]}-cmyk: device-cmyk(${[C, M, Y, K].map(v => `${Math.round(v*100)}%`).join(' ')});`);
+    }
+  });
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+// -----------------------------
+// Sniffing
+// -----------------------------
+
+// Pick the reader by content (ASE signature, GPL header) or extension (.css)
+export function readPaletteFile(filename, buffer) {
+  const bytes = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+  if (String.fromCharCode(...bytes) === 'ASEF') return readAse(buffer);
+  const text = new TextDecoder().decode(buffer);
+  if (/^GIMP Palette/.test(text)) return readGpl(text);
+  if (/\.css$/i.test(filename)) return readCssProperties(text);
+  return null;
+}
@@ -0,0 +1,193 @@
+/*
+  color/parse.mjs — CSS Color 4 input parser for the sandbox and pipeline
+
+  What this does
+  --------------
+  Turns any common color string into coordinates the pipeline understands.
+  No DOM, no color math beyond the syntax-level conversions CSS defines
+  (hsl/hwb → sRGB, lch → Lab, oklch → OKLab); matrices live in pipeline.mjs.
+
+  Accepted syntax
+  ---------------
+    #rgb  #rgba  #rrggbb  #rrggbbaa   (the leading # is optional)
+    rgb()/rgba()   legacy commas or modern spaces, numbers or %, optional alpha
+    hsl()/hsla()   hue as number or deg/rad/grad/turn
+    hwb()  lab()  lch()  oklab()  oklch()
+    color(srgb | srgb-linear | display-p3 | a98-rgb | rec2020 |
+          xyz | xyz-d50 | xyz-d65  c1 c2 c3 [/ alpha])
+    named colors (teal, rebeccapurple, …) and transparent
+  `none` is read as 0, per CSS Color 4.
+
+  API
+  ---
+  parseColor(str) → { space, coords: [c1,c2,c3], alpha, explicit } or null when unreadable
+    space is one of 'srgb' (gamma-encoded, 0..1), 'srgb-linear', 'display-p3',
+    'a98-rgb', 'rec2020' (gamma-encoded, 0..1), 'lab' (D50), 'oklab', 'xyz-d50', 'xyz-d65'. Coordinates are NOT clipped, so wide-gamut
+    lab()/oklch() input survives until the pipeline decides what to do with it.
+    explicit is true when the string named its space with color(…); legacy hex / rgb() /
+    hsl() / hwb() / named sRGB is false, so the pipeline may read it in another RGB space.
+*/
+
+// CSS named colors (CSS Color 4 §6.1)
+const NAMED = {
+  aliceblue:'f0f8ff', antiquewhite:'faebd7', aqua:'00ffff', aquamarine:'7fffd4', azure:'f0ffff',
+  beige:'f5f5dc', bisque:'ffe4c4', black:'000000', blanchedalmond:'ffebcd', blue:'0000ff',
+  blueviolet:'8a2be2', brown:'a52a2a', burlywood:'deb887', cadetblue:'5f9ea0', chartreuse:'7fff00',
+  chocolate:'d2691e', coral:'ff7f50', cornflowerblue:'6495ed', cornsilk:'fff8dc', crimson:'dc143c',
+  cyan:'00ffff', darkblue:'00008b', darkcyan:'008b8b', darkgoldenrod:'b8860b', darkgray:'a9a9a9',
+  darkgreen:'006400', darkgrey:'a9a9a9', darkkhaki:'bdb76b', darkmagenta:'8b008b', darkolivegreen:'556b2f',
+  darkorange:'ff8c00', darkorchid:'9932cc', darkred:'8b0000', darksalmon:'e9967a', darkseagreen:'8fbc8f',
+  darkslateblue:'483d8b', darkslategray:'2f4f4f', darkslategrey:'2f4f4f', darkturquoise:'00ced1', darkviolet:'9400d3',
+  deeppink:'ff1493', deepskyblue:'00bfff', dimgray:'696969', dimgrey:'696969', dodgerblue:'1e90ff',
+  firebrick:'b22222', floralwhite:'fffaf0', forestgreen:'228b22', fuchsia:'ff00ff', gainsboro:'dcdcdc',
+  ghostwhite:'f8f8ff', gold:'ffd700', goldenrod:'daa520', gray:'808080', green:'008000',
+  greenyellow:'adff2f', grey:'808080', honeydew:'f0fff0', hotpink:'ff69b4', indianred:'cd5c5c',
+  indigo:'4b0082', ivory:'fffff0', khaki:'f0e68c', lavender:'e6e6fa', lavenderblush:'fff0f5',
+  lawngreen:'7cfc00', lemonchiffon:'fffacd', lightblue:'add8e6', lightcoral:'f08080', lightcyan:'e0ffff',
+  lightgoldenrodyellow:'fafad2', lightgray:'d3d3d3', lightgreen:'90ee90', lightgrey:'d3d3d3', lightpink:'ffb6c1',
+  lightsalmon:'ffa07a', lightseagreen:'20b2aa', lightskyblue:'87cefa', lightslategray:'778899', lightslategrey:'778899',
+  lightsteelblue:'b0c4de', lightyellow:'ffffe0', lime:'00ff00', limegreen:'32cd32', linen:'faf0e6',
+  magenta:'ff00ff', maroon:'800000', mediumaquamarine:'66cdaa', mediumblue:'0000cd', mediumorchid:'ba55d3',
+  mediumpurple:'9370db', mediumseagreen:'3cb371', mediumslateblue:'7b68ee', mediumspringgreen:'00fa9a', mediumturquoise:'48d1cc',
+  mediumvioletred:'c71585', midnightblue:'191970', mintcream:'f5fffa', mistyrose:'ffe4e1', moccasin:'ffe4b5',
+  navajowhite:'ffdead', navy:'000080', oldlace:'fdf5e6', olive:'808000', olivedrab:'6b8e23',
+  orange:'ffa500', orangered:'ff4500', orchid:'da70d6', palegoldenrod:'eee8aa', palegreen:'98fb98',
+  paleturquoise:'afeeee', palevioletred:'db7093', papayawhip:'ffefd5', peachpuff:'ffdab9', peru:'cd853f',
+  pink:'ffc0cb', plum:'dda0dd', powderblue:'b0e0e6', purple:'800080', rebeccapurple:'663399',
+  red:'ff0000', rosybrown:'bc8f8f', royalblue:'4169e1', saddlebrown:'8b4513', salmon:'fa8072',
+  sandybrown:'f4a460', seagreen:'2e8b57', seashell:'fff5ee', sienna:'a0522d', silver:'c0c0c0',
+  skyblue:'87ceeb', slateblue:'6a5acd', slategray:'708090', slategrey:'708090', snow:'fffafa',
+  springgreen:'00ff7f', steelblue:'4682b4', tan:'d2b48c', teal:'008080', thistle:'d8bfd8',
+  tomato:'ff6347', turquoise:'40e0d0', violet:'ee82ee', wheat:'f5deb3', white:'ffffff',
+  whitesmoke:'f5f5f5', yellow:'ffff00', yellowgreen:'9acd32',
+};
+
+// Parse one argument token → {unit, value}; unit is '', '%', 'deg', … or 'none'
+function token(str) {
+  if (/^none$/i.test(str)) return {unit:'none', value:0};
+  const m = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|rad|grad|turn)?$/i.exec(str);
+  if (!m) return null;
+  return {unit:(m[2] || '').toLowerCase(), value:parseFloat(m[1])};
+}
+
+// Number or percentage → number, where 100% maps to `full`
+function num(t, full) {
+  if (!t) return NaN;
+  if (t.unit === 'none') return 0;
+  if (t.unit === '%') return t.value/100 * full;
+  return t.unit === '' ? t.value : NaN;
+}
+// Hue (number or angle) → degrees in [0, 360)
+function hue(t) {
+  if (!t) return NaN;
+  const toDeg = {'':1, deg:1, rad:180/Math.PI, grad:0.9, turn:360, none:0};
+  if (!(t.unit in toDeg)) return NaN;
+  const h = t.value * toDeg[t.unit];
+  return ((h % 360) + 360) % 360;
+}
+// Alpha (number or percentage) → [0..1]; missing means opaque
+function alpha(t) {
+  if (t === undefined) return 1;
+  const a = num(t, 1);
+  return Math.min(Math.max(a, 0), 1);
+}
+
+// #rgb / #rgba / #rrggbb / #rrggbbaa → sRGB
+function parseHex(str) {
+  const m = /^#?([a-f\d]{3,4}|[a-f\d]{6}|[a-f\d]{8})$/i.exec(str);
+  if (!m) return null;
+  let h = m[1];
+  if (h.length <= 4) h = h.split('').map(c => c + c).join('');
+  const v = [0, 2, 4, 6].map(i => parseInt(h.slice(i, i+2) || 'ff', 16) / 255);
+  return {space:'srgb', coords:v.slice(0, 3), alpha:v[3], explicit:false};
+}
+
+// CSS Color 4 hsl → sRGB (s, l in 0..1)
+function hslToRgb(h, s, l) {
+  const f = (n) => {
+    const k = (n + h/30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [f(0), f(8), f(4)];
+}
+// CSS Color 4 hwb → sRGB (w, b in 0..1)
+function hwbToRgb(h, w, b) {
+  if (w + b >= 1) { const gray = w / (w + b); return [gray, gray, gray]; }
+  return hslToRgb(h, 1, 0.5).map(c => c * (1 - w - b) + w);
+}
+// Polar (L, C, h) → rectangular (L, a, b)
+function polarToRect(L, C, h) {
+  const r = h * Math.PI / 180;
+  return [L, Math.max(C, 0) * Math.cos(r), Math.max(C, 0) * Math.sin(r)];
+}
+
+// Split "a b c / d" or "a, b, c, d" into three channel tokens and an optional alpha token
+function splitArgs(body) {
+  let parts, alphaStr;
+  if (body.includes(',')) {
+    parts = body.split(',').map(s => s.trim());
+    if (parts.length === 4) alphaStr = parts.pop();
+  } else {
+    const [main, rest, extra] = body.split('/');
+    if (extra !== undefined) return null;
+    parts = main.trim().split(/\s+/);
+    if (rest !== undefined) alphaStr = rest.trim();
+  }
+  if (parts.length !== 3) return null;
+  const channels = parts.map(token);
+  const a = alphaStr === undefined ? undefined : token(alphaStr);
+  if (channels.includes(null) || a === null) return null;
+  return {channels, alpha:a};
+}
+
+// Color functions: name → (channel tokens) → {space, coords}
+const FUNCTIONS = {
+  rgb:   ([r,g,b]) => ({space:'srgb', coords:[r,g,b].map(t => Math.min(Math.max(num(t,255)/255, 0), 1))}),
+  hsl:   ([h,s,l]) => ({space:'srgb', coords:hslToRgb(hue(h), num(s,100)/100, num(l,100)/100)}),
+  hwb:   ([h,w,b]) => ({space:'srgb', coords:hwbToRgb(hue(h), num(w,100)/100, num(b,100)/100)}),
+  lab:   ([L,a,b]) => ({space:'lab', coords:[num(L,100), num(a,125), num(b,125)]}),
+  lch:   ([L,C,h]) => ({space:'lab', coords:polarToRect(num(L,100), num(C,150), hue(h))}),
+  oklab: ([L,a,b]) => ({space:'oklab', coords:[num(L,1), num(a,0.4), num(b,0.4)]}),
+  oklch: ([L,C,h]) => ({space:'oklab', coords:polarToRect(num(L,1), num(C,0.4), hue(h))}),
+};
+FUNCTIONS.rgba = FUNCTIONS.rgb;
+FUNCTIONS.hsla = FUNCTIONS.hsl;
+
+// Predefined spaces accepted inside color(); xyz is an alias of xyz-d65
+const COLOR_SPACES = {
+  'srgb':'srgb', 'srgb-linear':'srgb-linear', 'display-p3':'display-p3', 'a98-rgb':'a98-rgb', 'rec2020':'rec2020',
+  'xyz':'xyz-d65', 'xyz-d65':'xyz-d65', 'xyz-d50':'xyz-d50',
+};
+
+// Any supported CSS color string → {space, coords, alpha}, or null
+export function parseColor(input) {
+  if (typeof input !== 'string') return null;
+  const str = input.trim().toLowerCase();
+  if (!str) return null;
+
+  if (str === 'transparent') return {space:'srgb', coords:[0,0,0], alpha:0, explicit:false};
+  if (NAMED[str]) return parseHex(NAMED[str]);
+
+  const fn = /^([a-z-]+)\((.*)\)$/.exec(str);
+  if (!fn) return parseHex(str);
+
+  let name = fn[1], body = fn[2].trim(), space = null;
+  if (name === 'color') {
+    const m = /^([a-z\d-]+)\s+(.*)$/.exec(body);
+    if (!m || !COLOR_SPACES[m[1]]) return null;
+    space = COLOR_SPACES[m[1]];
+    body = m[2];
+  } else if (!FUNCTIONS[name]) {
+    return null;
+  }
+
+  const args = splitArgs(body);
+  if (!args) return null;
+  const out = space
+    ? {space, coords:args.channels.map(t => num(t, 1))}
+    : FUNCTIONS[name](args.channels);
+  const a = alpha(args.alpha);
+  if (out.coords.some(v => !Number.isFinite(v)) || !Number.isFinite(a)) return null;
+  return {space:out.space, coords:out.coords, alpha:a, explicit:!!space};
+}
@@ -0,0 +1,463 @@
+/*
+  color/pipeline.mjs — the RGB → CMYK guide's color math as an importable ES module
+
+  What this is
+  ------------
+  The same simplified pipeline the article walks through, with no DOM access,
+  so it can be used by the sandbox UI, build scripts and tests alike:
+      HEX (sRGB) → linear sRGB → XYZ (D65) → Bradford-adapted XYZ (D50) → Lab (D50)
+  plus the *approximate* rendering intents and the naïve CMYK separation.
+  Educational only — not a true ICC CMM, not press-ready.
+
+  Usage
+  -----
+    Browser:  <script type="module" src="sandbox.js"></script>
+              import { hexToLabD50 } from './color/pipeline.mjs';
+    Node:     import { hexToLabD50 } from './color/pipeline.mjs';
+
+  Public API
+  ----------
+  Parsing          hexToRgb(hex) → [r,g,b] in 0..1, or null (#RRGGBB only)
+                   parseColor(str) — any CSS Color 4 string, re-exported from parse.mjs
+                   rgbToHex([r,g,b]) → '#rrggbb' (clamped)
+  Transfer curves  srgbToLinear(c), linearToSrgb(c)
+  Matrices         mul3x3(m, v), M_srgb_to_xyz, M_xyz_to_srgb, M_bradford, Mi_bradford
+  White points     D65, D50 (XYZ, Y = 1); ILLUMINANTS — { A, D50, D55, D65, D75, F2, F11 } →
+                   { name, XYZ }; xyToXYZ([x, y]) for a custom white
+  Adaptation       adaptXYZ(XYZ, srcWhite, dstWhite, method = 'bradford'),
+                   adaptationScale(srcWhite, dstWhite, method) → per-cone scale factors,
+                   CAT_METHODS — { bradford, cat02, cat16, vonkries, xyzscaling } → { name, M, Mi };
+                   adaptD65toD50(XYZ), adaptD50toD65(XYZ) — the pipeline’s Bradford hops
+  Lab              xyzD50_to_lab(XYZ, white?), lab_to_xyzD50(Lab), labToLch(Lab), lchToLab(LCh) (h in degrees)
+  CMYK             rgbLinear_to_cmyk(lin, black?) → {C,M,Y,K}, cmyk_to_rgb({C,M,Y,K}, inks?) → [r,g,b]
+                   black = { strategy, blackStart, maxK, richBlack } (see DEFAULT_BLACK);
+                   strategy is a BLACK_GENERATION key or 'ucr'
+                   inks = an INK_MODELS key: DEFAULT_INKS ('ideal') or 'press'
+                   totalAreaCoverage({C,M,Y,K}) → TAC in % (0..400); DEFAULT_TAC_LIMIT = 300
+  Intents          intent_perceptual, intent_relative, intent_saturation,
+                   intent_absolute, intent_naive — each Lab → Lab
+                   INTENTS — [{ name, fn, gamut }] in the order the sandbox table shows them
+  OKLab            oklab_to_xyzD65(Lab_ok)
+  Source spaces    RGB_SPACES — { srgb, display-p3, a98-rgb, rec2020 } → { name, white,
+                   toLinear, fromLinear, toXYZ, fromXYZ }; xyzD65_to_rgbSpace(XYZ, space)
+  Pipelines        hexToLabD50(color, sourceSpace?) → { lin, XYZd65, XYZd50, Lab, source } or null;
+                   accepts any string parseColor reads (hex, rgb(), hsl(), lab(), oklch(),
+                   color(display-p3 …), names…); sourceSpace reinterprets plain sRGB syntax
+                   labToLinearRgbViaD50(Lab) → linear sRGB clamped to [0,1]
+                   labToLinearRgbUnclamped(Lab) → same, unclamped (outside [0,1] = outside sRGB)
+                   convertIntent(Lab, fn, black?, inks?) → { Lab, lin, cmyk, rgb, hex } for one intent
+  Reverse          labToScreen(Lab), cmykToScreen({C,M,Y,K}) → { Lab, rgb, hex, clipped }
+                   — print values back to display sRGB; clipped = had to be clamped into sRGB
+*/
+
+import { parseColor } from './parse.mjs';
+export { parseColor };
+
+// Utility: clamp a value into the closed interval [lo, hi]
+export const clamp = (v, lo, hi) => Math.min(Math.max(v, lo), hi);
+
+// Parse #RRGGBB → normalized sRGB triplet in [0..1]; returns null on invalid
+export function hexToRgb(hex) {
+  const m = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex.trim());
+  if (!m) return null;
+  return [parseInt(m[1],16)/255, parseInt(m[2],16)/255, parseInt(m[3],16)/255];
+}
+// Normalized sRGB triplet in [0..1] → #rrggbb (out-of-range channels are clamped)
+export function rgbToHex(rgb) {
+  return '#'+rgb.map(v => ('0'+Math.round(clamp(v,0,1)*255).toString(16)).slice(-2)).join('');
+}
+
+// IEC 61966-2-1 sRGB electro‑optical transfer function (EOTF) — companding removal
+export function srgbToLinear(c) { return (c <= 0.04045) ? (c/12.92) : Math.pow((c+0.055)/1.055, 2.4); }
+// sRGB inverse transfer function — companding to display space
+export function linearToSrgb(c) { return (c <= 0.0031308) ? (12.92*c) : (1.055*Math.pow(c, 1/2.4) - 0.055); }
+
+// Multiply a 3×3 matrix by a 3×1 vector (column-major math)
+export function mul3x3(a,b) {
+  return [
+    a[0][0]*b[0] + a[0][1]*b[1] + a[0][2]*b[2],
+    a[1][0]*b[0] + a[1][1]*b[1] + a[1][2]*b[2],
+    a[2][0]*b[0] + a[2][1]*b[1] + a[2][2]*b[2]
+  ];
+}
+
+// Invert a 3×3 matrix (adjugate / determinant)
+function inv3x3(m) {
+  const [[a, b, c], [d, e, f], [g, h, i]] = m;
+  const A = e*i - f*h, B = -(d*i - f*g), C = d*h - e*g;
+  const det = a*A + b*B + c*C;
+  return [
+    [A/det, -(b*i - c*h)/det,  (b*f - c*e)/det],
+    [B/det,  (a*i - c*g)/det, -(a*f - c*d)/det],
+    [C/det, -(a*h - b*g)/det,  (a*e - b*d)/det]
+  ];
+}
+
+// Bradford cone-response matrix (for chromatic adaptation)
+const M = [
+  [ 0.8951000,  0.2664000, -0.1614000],
+  [-0.7502000,  1.7135000,  0.0367000],
+  [ 0.0389000, -0.0685000,  1.0296000]
+];
+// Inverse Bradford matrix
+const Mi = [
+  [ 0.9869929, -0.1470543, 0.1599627],
+  [ 0.4323053,  0.5183603, 0.0492912],
+  [-0.0085287,  0.0400428, 0.9684867]
+];
+export { M as M_bradford, Mi as Mi_bradford };
+
+// Chromatic adaptation transforms: each maps XYZ into a cone-like space where the
+// white is rescaled channel by channel (von Kries-style, complete adaptation, D = 1)
+const M_vonkries = [
+  [ 0.4002400, 0.7076000, -0.0808100],
+  [-0.2263000, 1.1653200,  0.0457000],
+  [ 0.0000000, 0.0000000,  0.9182200]
+];
+const M_cat02 = [
+  [ 0.7328000, 0.4296000, -0.1624000],
+  [-0.7036000, 1.6975000,  0.0061000],
+  [ 0.0030000, 0.0136000,  0.9834000]
+];
+const M_cat16 = [
+  [ 0.401288, 0.650173, -0.051461],
+  [-0.250268, 1.204414,  0.045854],
+  [-0.002079, 0.048952,  0.953127]
+];
+const M_identity = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+export const CAT_METHODS = {
+  bradford:   {name:'Bradford', M, Mi},
+  cat02:      {name:'CAT02 (CIECAM02)', M:M_cat02, Mi:inv3x3(M_cat02)},
+  cat16:      {name:'CAT16 (CAM16)', M:M_cat16, Mi:inv3x3(M_cat16)},
+  vonkries:   {name:'Von Kries (Hunt–Pointer–Estévez)', M:M_vonkries, Mi:inv3x3(M_vonkries)},
+  xyzscaling: {name:'XYZ scaling', M:M_identity, Mi:M_identity},
+};
+
+// Reference white tristimulus values for D65 and D50 (normalized Y=1)
+export const D65 = [0.95047, 1.00000, 1.08883];
+export const D50 = [0.96422, 1.00000, 0.82521];
+
+// CIE illuminants (2° observer, Y = 1), same tables as D65 / D50
+export const ILLUMINANTS = {
+  A:   {name:'A — tungsten, 2856 K', XYZ:[1.09850, 1.00000, 0.35585]},
+  D50: {name:'D50 — horizon daylight, 5003 K (print)', XYZ:D50},
+  D55: {name:'D55 — mid-morning daylight, 5503 K', XYZ:[0.95682, 1.00000, 0.92149]},
+  D65: {name:'D65 — noon daylight, 6504 K (screens)', XYZ:D65},
+  D75: {name:'D75 — north sky daylight, 7504 K', XYZ:[0.94972, 1.00000, 1.22638]},
+  F2:  {name:'F2 — cool white fluorescent, 4230 K', XYZ:[0.99187, 1.00000, 0.67395]},
+  F11: {name:'F11 — narrow-band fluorescent, 4000 K', XYZ:[1.00962, 1.00000, 0.64350]},
+};
+
+// Chromaticity (x, y) → white point XYZ with Y = 1, for custom illuminants
+export function xyToXYZ([x, y]) {
+  return [x / y, 1, (1 - x - y) / y];
+}
+
+// Per-cone scale factors from one white to another: (M·dst) / (M·src)
+export function adaptationScale(src, dst, method = 'bradford') {
+  const {M: Mc} = CAT_METHODS[method];
+  const LMS_w_src = mul3x3(Mc, src);
+  const LMS_w_dst = mul3x3(Mc, dst);
+  return [LMS_w_dst[0]/LMS_w_src[0], LMS_w_dst[1]/LMS_w_src[1], LMS_w_dst[2]/LMS_w_src[2]];
+}
+// Adapt XYZ seen under white `src` to how it looks under white `dst`
+export function adaptXYZ(XYZ, src, dst, method = 'bradford') {
+  const {M: Mc, Mi: Mci} = CAT_METHODS[method];
+  const LMS = mul3x3(Mc, XYZ);
+  const scale = adaptationScale(src, dst, method);
+  return mul3x3(Mci, [LMS[0]*scale[0], LMS[1]*scale[1], LMS[2]*scale[2]]);
+}
+// The pipeline’s two fixed hops: D65 (screens) ⇄ D50 (print), Bradford
+export const adaptD65toD50 = (XYZ) => adaptXYZ(XYZ, D65, D50);
+export const adaptD50toD65 = (XYZ) => adaptXYZ(XYZ, D50, D65);
+
+// Linear sRGB → XYZ (D65) matrix per IEC 61966-2-1
+export const M_srgb_to_xyz = [
+  [0.4124564, 0.3575761, 0.1804375],
+  [0.2126729, 0.7151522, 0.0721750],
+  [0.0193339, 0.1191920, 0.9503041]
+];
+// XYZ (D65) → linear sRGB (inverse matrix)
+export const M_xyz_to_srgb = [
+  [ 3.2404542, -1.5371385, -0.4985314],
+  [-0.9692660,  1.8760108,  0.0415560],
+  [ 0.0556434, -0.2040259,  1.0572252]
+];
+
+// -----------------------------
+// RGB source spaces
+// -----------------------------
+// Primaries, transfer curves and white points per CSS Color 4. Each space’s matrices
+// map its linear RGB to XYZ relative to its own white (all four are D65).
+
+// Adobe RGB (1998): pure power curve, 563/256 ≈ 2.2
+const A98_GAMMA = 563/256;
+// Rec. 2020 transfer curve constants (ITU-R BT.2020, 12-bit precision)
+const REC2020_ALPHA = 1.09929682680944;
+const REC2020_BETA = 0.018053968510807;
+// Sign-preserving power, so extended-range values stay symmetric around 0
+const spow = (v, p) => Math.sign(v) * Math.pow(Math.abs(v), p);
+
+export const RGB_SPACES = {
+  'srgb': {
+    name: 'sRGB', white: D65,
+    toLinear: srgbToLinear, fromLinear: linearToSrgb,
+    toXYZ: M_srgb_to_xyz, fromXYZ: M_xyz_to_srgb,
+  },
+  'display-p3': {
+    name: 'Display P3', white: D65,
+    toLinear: srgbToLinear, fromLinear: linearToSrgb,
+    toXYZ: [
+      [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+      [0.2289745640697488, 0.6917385218365064,  0.079286914093745],
+      [0.0000000000000000, 0.04511338185890264, 1.043944368900976]
+    ],
+    fromXYZ: [
+      [ 2.493496911941425,   -0.9313836179191239,  -0.40271078445071684],
+      [-0.8294889695615747,   1.7626640603183463,   0.023624685841943577],
+      [ 0.03584583024378447, -0.07617238926804182,  0.9568845240076872]
+    ],
+  },
+  'a98-rgb': {
+    name: 'Adobe RGB (1998)', white: D65,
+    toLinear: (c) => spow(c, A98_GAMMA), fromLinear: (c) => spow(c, 1/A98_GAMMA),
+    toXYZ: [
+      [0.5766690429101305,  0.1855582379065463,  0.1882286462349947],
+      [0.29734497525053605, 0.6273635662554661,  0.07529145849399788],
+      [0.02703136138641234, 0.07068885253582723, 0.9913375368376388]
+    ],
+    fromXYZ: [
+      [ 2.0415879038107465,   -0.5650069742788596,  -0.34473135077832956],
+      [-0.9692436362808795,    1.8759675015077202,   0.04155505740717557],
+      [ 0.013444280632031142, -0.11836239223101838,  1.0151749943912054]
+    ],
+  },
+  'rec2020': {
+    name: 'Rec. 2020', white: D65,
+    toLinear: (c) => Math.abs(c) < REC2020_BETA*4.5
+      ? c/4.5
+      : Math.sign(c) * Math.pow((Math.abs(c) + REC2020_ALPHA - 1) / REC2020_ALPHA, 1/0.45),
+    fromLinear: (c) => Math.abs(c) > REC2020_BETA
+      ? Math.sign(c) * (REC2020_ALPHA * Math.pow(Math.abs(c), 0.45) - (REC2020_ALPHA - 1))
+      : 4.5*c,
+    toXYZ: [
+      [0.6369580483012914, 0.14461690358620832,  0.1688809751641721],
+      [0.2627002120112671, 0.6779980715188708,   0.05930171646986196],
+      [0.0000000000000000, 0.028072693049087428, 1.060985057710791]
+    ],
+    fromXYZ: [
+      [ 1.7166511879712674,   -0.35567078377639233, -0.25336628137365974],
+      [-0.6666843518324892,    1.6164812366349395,   0.01576854581391113],
+      [ 0.017639857445310783, -0.042770613257808524, 0.9421031212354738]
+    ],
+  },
+};
+
+// XYZ (D65) → gamma-encoded coordinates in one of RGB_SPACES (unclamped)
+export function xyzD65_to_rgbSpace(XYZ, space) {
+  const s = RGB_SPACES[space];
+  return mul3x3(s.fromXYZ, XYZ).map(s.fromLinear);
+}
+
+// Helper f(t) defined by CIE Lab (handles linear segment below epsilon)
+function f_lab(t) { const eps=216/24389, k=24389/27; return t>eps ? Math.cbrt(t) : ((k*t+16)/116); }
+// Convert XYZ (assumed D50) to CIE Lab (D50); pass another `white` for Lab under that illuminant
+export function xyzD50_to_lab([X,Y,Z], white = D50){
+  const xr = X/white[0], yr = Y/white[1], zr = Z/white[2];
+  const fx = f_lab(xr), fy = f_lab(yr), fz = f_lab(zr);
+  const L = 116*fy - 16, a = 500*(fx - fy), b = 200*(fy - fz);
+  return [L,a,b];
+}
+// Inverse of f(t) used for Lab → XYZ
+function finv_lab(t) { const eps=216/24389, k=24389/27; const t3=t*t*t; return (t3>eps) ? t3 : ((116*t-16)/k); }
+// Convert CIE Lab (D50) back to XYZ (D50)
+export function lab_to_xyzD50([L,a,b]){
+  const fy = (L + 16)/116, fx = fy + (a/500), fz = fy - (b/200);
+  return [finv_lab(fx)*D50[0], finv_lab(fy)*D50[1], finv_lab(fz)*D50[2]];
+}
+
+// Lab → LCh (polar form: chroma and hue angle in degrees, 0..360)
+export function labToLch([L,a,b]) {
+  const h = Math.atan2(b, a) * 180 / Math.PI;
+  return [L, Math.hypot(a, b), h < 0 ? h + 360 : h];
+}
+// LCh → Lab
+export function lchToLab([L,C,h]) {
+  const r = h * Math.PI / 180;
+  return [L, C * Math.cos(r), C * Math.sin(r)];
+}
+
+// OKLab → LMS (non-linear) and LMS → XYZ (D65) matrices, per CSS Color 4
+const M_oklab_to_lms = [
+  [1.0000000000000000,  0.3963377773761749,  0.2158037573099136],
+  [1.0000000000000000, -0.1055613458156586, -0.0638541728258133],
+  [1.0000000000000000, -0.0894841775298119, -1.2914855480194092]
+];
+const M_lms_to_xyz = [
+  [ 1.2268798758459243, -0.5578149944602171,  0.2813910456659647],
+  [-0.0405757452148008,  1.1122868032803170, -0.0717110580655164],
+  [-0.0763729366746601, -0.4214933324022432,  1.5869240198367816]
+];
+// Convert OKLab to XYZ (D65)
+export function oklab_to_xyzD65(Lab_ok) {
+  const lms = mul3x3(M_oklab_to_lms, Lab_ok).map(v => v*v*v);
+  return mul3x3(M_lms_to_xyz, lms);
+}
+
+// Black generation (GCR) strength: share of the gray component moved into K
+export const BLACK_GENERATION = { none:0, light:0.3, medium:0.5, heavy:0.75, maximum:1 };
+// Default = the original behavior: full GCR from the first tint, K up to 100%, plain black
+export const DEFAULT_BLACK = { strategy:'maximum', blackStart:0, maxK:1, richBlack:false };
+// UCR only replaces the gray component of near-neutrals; this CMY spread (0..1) counts as "colorful"
+const UCR_NEUTRAL_RANGE = 0.2;
+// Rich-black support screen (C 60 M 40 Y 40) laid under near-solid K
+const RICH_BLACK = { C:0.6, M:0.4, Y:0.4 };
+
+// Educational CMYK: convert linear RGB → display RGB, then to CMYK with configurable black generation
+//   gray  = min(C,M,Y) — the part of the color all three inks share
+//   K     = gray component × strategy strength, ramped in from blackStart and capped at maxK
+//   C,M,Y = (X − K) / (1 − K), the same ideal-ink inversion the article uses
+// Note: This is device-independent & for illustration only — not using an ICC printer profile.
+// With ideal inks every recipe previews identically; press inks (INK_MODELS) show the difference.
+export function rgbLinear_to_cmyk(lin, black = DEFAULT_BLACK) {
+  const { strategy, blackStart, maxK, richBlack } = { ...DEFAULT_BLACK, ...black };
+  const sr = Math.min(Math.max((lin[0] <= 0.0031308) ? (12.92*lin[0]) : (1.055*Math.pow(lin[0],1/2.4)-0.055),0),1);
+  const sg = Math.min(Math.max((lin[1] <= 0.0031308) ? (12.92*lin[1]) : (1.055*Math.pow(lin[1],1/2.4)-0.055),0),1);
+  const sb = Math.min(Math.max((lin[2] <= 0.0031308) ? (12.92*lin[2]) : (1.055*Math.pow(lin[2],1/2.4)-0.055),0),1);
+  let C = 1 - sr, M = 1 - sg, Y = 1 - sb;
+  const gray = Math.min(C, M, Y);
+
+  // Strength: fixed per GCR level, or by neutrality for UCR
+  const strength = (strategy === 'ucr')
+    ? clamp(1 - (Math.max(C, M, Y) - gray) / UCR_NEUTRAL_RANGE, 0, 1)
+    : (BLACK_GENERATION[strategy] ?? 1);
+  // Black start: no K below it, then a linear ramp that still reaches `strength` at solid gray
+  const ramp = (gray <= blackStart) ? 0 : (gray - blackStart) / (1 - blackStart);
+  const K = Math.min(strength * ramp, clamp(maxK, 0, 1));
+
+  if (K >= 1.0 - 1e-6) return richBlack ? {...RICH_BLACK, K:1} : {C:0,M:0,Y:0,K:1};
+  C = (C - K) / (1 - K);
+  M = (M - K) / (1 - K);
+  Y = (Y - K) / (1 - K);
+  if (richBlack && K >= 0.98) {
+    C = Math.max(C, RICH_BLACK.C); M = Math.max(M, RICH_BLACK.M); Y = Math.max(Y, RICH_BLACK.Y);
+  }
+  return {C,M,Y,K};
+}
+// Solid inks as display RGB (0..1): what each prints at 100% on white paper.
+// 'ideal' is the block-dye ink of the naïve inversion. 'press' approximates coated offset:
+// every ink also absorbs a little outside its own band, so C+M+Y stacks to a warm brown
+// and a gray built from CMY previews warmer than the same gray built with K
+export const INK_MODELS = {
+  ideal: { name:'Ideal inks', C:[0, 1, 1], M:[1, 0, 1], Y:[1, 1, 0], K:[0, 0, 0] },
+  press: { name:'Press inks (coated offset)', C:[0.15, 0.65, 0.9], M:[0.9, 0.15, 0.5], Y:[1, 0.92, 0.15], K:[0.12, 0.12, 0.11] },
+};
+// Previews default to ideal inks, so a naïve separation previews as the color it separates
+export const DEFAULT_INKS = 'ideal';
+// Convert CMYK back to display RGB (naïve inversion used for preview swatch): each ink
+// filters what lies under it by its coverage. With ideal inks that is R = (1 − C)(1 − K) …
+export function cmyk_to_rgb(cmyk, inks = DEFAULT_INKS) {
+  const model = INK_MODELS[inks] || INK_MODELS.ideal;
+  return [0, 1, 2].map(ch => ['C', 'M', 'Y', 'K'].reduce((v, ink) => v * (1 - cmyk[ink] * (1 - model[ink][ch])), 1));
+}
+
+// Total area coverage (TAC): summed ink in percent, 0..400
+export function totalAreaCoverage({C,M,Y,K}) { return (C + M + Y + K) * 100; }
+// Typical coated-offset ink limit; uncoated/newsprint conditions sit lower (≈260–280%)
+export const DEFAULT_TAC_LIMIT = 300;
+
+// Intent: Perceptual (approximate) — compress gamut softly in L and chroma
+export function intent_perceptual([L,a,b]) { return [L*0.96 + 0.9, a*0.96, b*0.93]; }
+// Intent: Saturation (approximate) — favor punchy chroma, less tone accuracy
+export function intent_saturation([L,a,b]) { return [L*0.96 + 1.1, a*1.09, b*1.08]; }
+// Intent: Relative Colorimetric (approximate) — clip out-of-gamut, white-point scaled
+export function intent_relative([L,a,b]) { return [L*0.96 + 0.9, a*1.09, b*1.08]; }
+// Intent: Absolute Colorimetric (approximate) — preserve in-gamut, absolute white point
+export function intent_absolute([L,a,b]) { return [L*1.11 + 0.2, a*1.17, b*1.05]; }
+// Intent: Naive — no transform, just show the baseline Lab
+export function intent_naive(Lab) { return Lab.slice(); }
+
+// NOTE: Rendering intents are heuristic approximations to illustrate
+// differences in tone/chroma handling. For production press work, use a
+// real ICC CMM (e.g., LittleCMS via WASM) with the printer profile.
+// `gamut` names the gamut.mjs mapping each intent stands in for.
+export const INTENTS = [
+  {name:'Perceptual', fn:intent_perceptual, gamut:'hue'},
+  {name:'Relative colorimetric', fn:intent_relative, gamut:'clip'},
+  {name:'Saturation', fn:intent_saturation, gamut:'chroma'},
+  {name:'Absolute colorimetric', fn:intent_absolute, gamut:'clip'},
+  {name:'Naive math', fn:intent_naive, gamut:'clip'},
+];
+
+// Color → Lab (D50) via: HEX→sRGB→linear→XYZ(D65)→Bradford→XYZ(D50)→Lab(D50)
+// Inputs that are already further down the chain (lab(), oklch(), color(xyz …))
+// join it at their own stage; `lin` is left unclamped so wide-gamut input shows as >1 or <0.
+// `sourceSpace` (an RGB_SPACES key) says what plain hex / rgb() / hsl() numbers mean, e.g.
+// 'display-p3' for a P3 asset; color(srgb …) / color(display-p3 …) style input always
+// names its own space and is never reinterpreted.
+// `source` reports the RGB space the input was read in, with its encoded and linear values.
+export function hexToLabD50(color, sourceSpace = 'srgb') {
+  const c = parseColor(color);
+  if (!c) return null;
+  let lin, XYZd65, XYZd50, Lab, source = null;
+  const space = (c.space === 'srgb' && !c.explicit && RGB_SPACES[sourceSpace]) ? sourceSpace : c.space;
+  if (space === 'srgb-linear') {
+    lin = c.coords.slice();
+    XYZd65 = mul3x3(M_srgb_to_xyz, lin);
+  } else if (RGB_SPACES[space]) {
+    const s = RGB_SPACES[space];
+    const linear = c.coords.map(s.toLinear);
+    source = {space, coords:c.coords.slice(), linear};
+    XYZd65 = mul3x3(s.toXYZ, linear);
+    if (space === 'srgb') lin = linear;
+  } else if (space === 'oklab') {
+    XYZd65 = oklab_to_xyzD65(c.coords);
+  } else if (space === 'xyz-d65') {
+    XYZd65 = c.coords.slice();
+  } else if (space === 'xyz-d50') {
+    XYZd50 = c.coords.slice();
+  } else if (space === 'lab') {
+    Lab = c.coords.slice();
+    XYZd50 = lab_to_xyzD50(Lab);
+  }
+  if (!XYZd65) XYZd65 = adaptD50toD65(XYZd50);
+  if (!XYZd50) XYZd50 = adaptD65toD50(XYZd65);
+  if (!Lab) Lab = xyzD50_to_lab(XYZd50);
+  if (!lin) lin = mul3x3(M_xyz_to_srgb, XYZd65);
+  return {lin, XYZd65, XYZd50, Lab, source};
+}
+// Lab (D50) → linear sRGB via: Lab→XYZ(D50)→Bradford→XYZ(D65)→linear sRGB
+export function labToLinearRgbViaD50(Lab) {
+  return labToLinearRgbUnclamped(Lab).map(v => Math.min(Math.max(v,0),1));
+}
+// Same conversion without the clamp, so callers can see how far outside sRGB a color is
+export function labToLinearRgbUnclamped(Lab) {
+  const XYZd50 = lab_to_xyzD50(Lab);
+  const XYZd65 = adaptD50toD65(XYZd50);
+  return mul3x3(M_xyz_to_srgb, XYZd65);
+}
+
+// Reverse direction: what a print value looks like on screen.
+// Lab (D50) → display sRGB; `clipped` says the color lies outside sRGB and was clamped
+export function labToScreen(Lab) {
+  const clipped = labToLinearRgbUnclamped(Lab).some(v => v < -1e-4 || v > 1 + 1e-4);
+  const rgb = labToLinearRgbViaD50(Lab).map(linearToSrgb);
+  return {Lab: Lab.slice(), rgb, hex: rgbToHex(rgb), clipped};
+}
+// CMYK (0..1) → display sRGB through the naïve ideal-ink inversion (cmyk_to_rgb), plus its Lab.
+// Ideal inks never leave sRGB, so only out-of-range ink values are clipped.
+export function cmykToScreen(cmyk) {
+  const raw = cmyk_to_rgb(cmyk);
+  const rgb = raw.map(v => clamp(v, 0, 1));
+  const Lab = xyzD50_to_lab(adaptD65toD50(mul3x3(M_srgb_to_xyz, rgb.map(srgbToLinear))));
+  return {Lab, rgb, hex: rgbToHex(rgb), clipped: raw.some((v, i) => v !== rgb[i])};
+}
+
+// One intent row: Lab → intent → linear sRGB → naïve CMYK → preview RGB/hex (through `inks`)
+export function convertIntent(Lab, fn, black = DEFAULT_BLACK, inks = DEFAULT_INKS) {
+  const Lab_t = fn(Lab.slice());
+  const lin = labToLinearRgbViaD50(Lab_t);
+  const cmyk = rgbLinear_to_cmyk(lin, black);
+  const rgb = cmyk_to_rgb(cmyk, inks).map(v => clamp(v,0,1));
+  return {Lab: Lab_t, lin, cmyk, rgb, hex: rgbToHex(rgb)};
+}
@@ -0,0 +1,237 @@
+/*
+  color/ral-classic.mjs — RAL Classic reference colors for the spot-color search
+
+  The 213 RAL Classic (RAL 840-HR) codes and English names with the sRGB approximations
+  commonly published for screen use (the figures in Wikipedia’s “List of RAL colors”).
+  RAL’s own measured Lab values are licensed and not bundled, so treat a match as a
+  pointer into the fan deck, not a substitute for the physical chip. color/spot.mjs
+  turns these into Lab (D50) with the sandbox’s own pipeline.
+
+  API
+  ---
+  RAL_CLASSIC                    [[code, name, hex], …] in code order
+*/
+
+export const RAL_CLASSIC = [
+  ['RAL 1000', 'Green beige', '#cdba88'],
+  ['RAL 1001', 'Beige', '#d0b084'],
+  ['RAL 1002', 'Sand yellow', '#d2aa6d'],
+  ['RAL 1003', 'Signal yellow', '#f9a900'],
+  ['RAL 1004', 'Golden yellow', '#e49e00'],
+  ['RAL 1005', 'Honey yellow', '#cb8f00'],
+  ['RAL 1006', 'Maize yellow', '#e19000'],
+  ['RAL 1007', 'Daffodil yellow', '#e88c00'],
+  ['RAL 1011', 'Brown beige', '#af8050'],
+  ['RAL 1012', 'Lemon yellow', '#ddaf28'],
+  ['RAL 1013', 'Oyster white', '#e3d9c7'],
+  ['RAL 1014', 'Ivory', '#ddc49b'],
+  ['RAL 1015', 'Light ivory', '#e6d2b5'],
+  ['RAL 1016', 'Sulfur yellow', '#f1dd39'],
+  ['RAL 1017', 'Saffron yellow', '#f6a951'],
+  ['RAL 1018', 'Zinc yellow', '#faca31'],
+  ['RAL 1019', 'Grey beige', '#a48f7a'],
+  ['RAL 1020', 'Olive yellow', '#a08f65'],
+  ['RAL 1021', 'Colza yellow', '#f6b600'],
+  ['RAL 1023', 'Traffic yellow', '#f7b500'],
+  ['RAL 1024', 'Ochre yellow', '#ba8f4c'],
+  ['RAL 1026', 'Luminous yellow', '#ffff00'],
+  ['RAL 1027', 'Curry', '#a77f0f'],
+  ['RAL 1028', 'Melon yellow', '#ff9c00'],
+  ['RAL 1032', 'Broom yellow', '#e2a300'],
+  ['RAL 1033', 'Dahlia yellow', '#f99a1d'],
+  ['RAL 1034', 'Pastel yellow', '#eb9c52'],
+  ['RAL 1035', 'Pearl beige', '#8f8370'],
+  ['RAL 1036', 'Pearl gold', '#806440'],
+  ['RAL 1037', 'Sun yellow', '#f09200'],
+
+  ['RAL 2000', 'Yellow orange', '#da6e00'],
+  ['RAL 2001', 'Red orange', '#ba481c'],
+  ['RAL 2002', 'Vermilion', '#bf3922'],
+  ['RAL 2003', 'Pastel orange', '#f67829'],
+  ['RAL 2004', 'Pure orange', '#e25304'],
+  ['RAL 2005', 'Luminous orange', '#ff4d08'],
+  ['RAL 2007', 'Luminous bright orange', '#ffb200'],
+  ['RAL 2008', 'Bright red orange', '#ec6b22'],
+  ['RAL 2009', 'Traffic orange', '#de5308'],
+  ['RAL 2010', 'Signal orange', '#d05d29'],
+  ['RAL 2011', 'Deep orange', '#e26e0f'],
+  ['RAL 2012', 'Salmon orange', '#d5654e'],
+  ['RAL 2013', 'Pearl orange', '#923e25'],
+
+  ['RAL 3000', 'Flame red', '#a72920'],
+  ['RAL 3001', 'Signal red', '#9b2423'],
+  ['RAL 3002', 'Carmine red', '#9b2321'],
+  ['RAL 3003', 'Ruby red', '#861a22'],
+  ['RAL 3004', 'Purple red', '#6b1c23'],
+  ['RAL 3005', 'Wine red', '#59191f'],
+  ['RAL 3007', 'Black red', '#3e2022'],
+  ['RAL 3009', 'Oxide red', '#6d342d'],
+  ['RAL 3011', 'Brown red', '#792423'],
+  ['RAL 3012', 'Beige red', '#c6846d'],
+  ['RAL 3013', 'Tomato red', '#972e25'],
+  ['RAL 3014', 'Antique pink', '#cb7375'],
+  ['RAL 3015', 'Light pink', '#d8a0a6'],
+  ['RAL 3016', 'Coral red', '#a63d30'],
+  ['RAL 3017', 'Rose', '#ca555d'],
+  ['RAL 3018', 'Strawberry red', '#c63f4a'],
+  ['RAL 3020', 'Traffic red', '#bb1e10'],
+  ['RAL 3022', 'Salmon pink', '#cf6955'],
+  ['RAL 3024', 'Luminous red', '#ff2d21'],
+  ['RAL 3026', 'Luminous bright red', '#ff2a1b'],
+  ['RAL 3027', 'Raspberry red', '#ab273c'],
+  ['RAL 3028', 'Pure red', '#cc2c24'],
+  ['RAL 3031', 'Orient red', '#a63437'],
+  ['RAL 3032', 'Pearl ruby red', '#701d23'],
+  ['RAL 3033', 'Pearl pink', '#a53a2d'],
+
+  ['RAL 4001', 'Red lilac', '#816183'],
+  ['RAL 4002', 'Red violet', '#8d3c4b'],
+  ['RAL 4003', 'Heather violet', '#c4618c'],
+  ['RAL 4004', 'Claret violet', '#651e38'],
+  ['RAL 4005', 'Blue lilac', '#76689a'],
+  ['RAL 4006', 'Traffic purple', '#903373'],
+  ['RAL 4007', 'Purple violet', '#47243c'],
+  ['RAL 4008', 'Signal violet', '#844c82'],
+  ['RAL 4009', 'Pastel violet', '#9d8692'],
+  ['RAL 4010', 'Telemagenta', '#bc4077'],
+  ['RAL 4011', 'Pearl violet', '#6e6387'],
+  ['RAL 4012', 'Pearl blackberry', '#6b6b7f'],
+
+  ['RAL 5000', 'Violet blue', '#314f6f'],
+  ['RAL 5001', 'Green blue', '#0f4c64'],
+  ['RAL 5002', 'Ultramarine blue', '#00387b'],
+  ['RAL 5003', 'Sapphire blue', '#1f3855'],
+  ['RAL 5004', 'Black blue', '#191e28'],
+  ['RAL 5005', 'Signal blue', '#005387'],
+  ['RAL 5007', 'Brilliant blue', '#376b8c'],
+  ['RAL 5008', 'Grey blue', '#2b3a44'],
+  ['RAL 5009', 'Azure blue', '#225f78'],
+  ['RAL 5010', 'Gentian blue', '#004f7c'],
+  ['RAL 5011', 'Steel blue', '#1a2b3c'],
+  ['RAL 5012', 'Light blue', '#0089b6'],
+  ['RAL 5013', 'Cobalt blue', '#193153'],
+  ['RAL 5014', 'Pigeon blue', '#637d96'],
+  ['RAL 5015', 'Sky blue', '#007cb0'],
+  ['RAL 5017', 'Traffic blue', '#005b8c'],
+  ['RAL 5018', 'Turquoise blue', '#058b8c'],
+  ['RAL 5019', 'Capri blue', '#005e83'],
+  ['RAL 5020', 'Ocean blue', '#00414b'],
+  ['RAL 5021', 'Water blue', '#007577'],
+  ['RAL 5022', 'Night blue', '#222d5a'],
+  ['RAL 5023', 'Distant blue', '#42698c'],
+  ['RAL 5024', 'Pastel blue', '#6093ac'],
+  ['RAL 5025', 'Pearl gentian blue', '#21697c'],
+  ['RAL 5026', 'Pearl night blue', '#0f3052'],
+
+  ['RAL 6000', 'Patina green', '#3c7460'],
+  ['RAL 6001', 'Emerald green', '#366735'],
+  ['RAL 6002', 'Leaf green', '#325928'],
+  ['RAL 6003', 'Olive green', '#50533c'],
+  ['RAL 6004', 'Blue green', '#024442'],
+  ['RAL 6005', 'Moss green', '#114232'],
+  ['RAL 6006', 'Grey olive', '#3c392e'],
+  ['RAL 6007', 'Bottle green', '#2c3222'],
+  ['RAL 6008', 'Brown green', '#37342a'],
+  ['RAL 6009', 'Fir green', '#27352a'],
+  ['RAL 6010', 'Grass green', '#4d6f39'],
+  ['RAL 6011', 'Reseda green', '#6b7c59'],
+  ['RAL 6012', 'Black green', '#2f3d3a'],
+  ['RAL 6013', 'Reed green', '#7c765a'],
+  ['RAL 6014', 'Yellow olive', '#474135'],
+  ['RAL 6015', 'Black olive', '#3d3d36'],
+  ['RAL 6016', 'Turquoise green', '#00694c'],
+  ['RAL 6017', 'May green', '#587f40'],
+  ['RAL 6018', 'Yellow green', '#61993b'],
+  ['RAL 6019', 'Pastel green', '#b9ceac'],
+  ['RAL 6020', 'Chrome green', '#37422f'],
+  ['RAL 6021', 'Pale green', '#8a9977'],
+  ['RAL 6022', 'Olive drab', '#3a3327'],
+  ['RAL 6024', 'Traffic green', '#008351'],
+  ['RAL 6025', 'Fern green', '#5e6e3b'],
+  ['RAL 6026', 'Opal green', '#005f4e'],
+  ['RAL 6027', 'Light green', '#7ebab5'],
+  ['RAL 6028', 'Pine green', '#315442'],
+  ['RAL 6029', 'Mint green', '#006f3d'],
+  ['RAL 6032', 'Signal green', '#237f52'],
+  ['RAL 6033', 'Mint turquoise', '#46877f'],
+  ['RAL 6034', 'Pastel turquoise', '#7aacac'],
+  ['RAL 6035', 'Pearl dark green', '#194d25'],
+  ['RAL 6036', 'Pearl opal green', '#04574b'],
+  ['RAL 6037', 'Pure green', '#008b29'],
+  ['RAL 6038', 'Luminous green', '#00b51a'],
+
+  ['RAL 7000', 'Squirrel grey', '#7a888e'],
+  ['RAL 7001', 'Silver grey', '#8c979c'],
+  ['RAL 7002', 'Olive grey', '#817863'],
+  ['RAL 7003', 'Moss grey', '#7a7669'],
+  ['RAL 7004', 'Signal grey', '#9b9b9b'],
+  ['RAL 7005', 'Mouse grey', '#6c6e6b'],
+  ['RAL 7006', 'Beige grey', '#766a5e'],
+  ['RAL 7008', 'Khaki grey', '#745e3d'],
+  ['RAL 7009', 'Green grey', '#5d6058'],
+  ['RAL 7010', 'Tarpaulin grey', '#585c56'],
+  ['RAL 7011', 'Iron grey', '#52595d'],
+  ['RAL 7012', 'Basalt grey', '#575d5e'],
+  ['RAL 7013', 'Brown grey', '#575044'],
+  ['RAL 7015', 'Slate grey', '#4f5358'],
+  ['RAL 7016', 'Anthracite grey', '#383e42'],
+  ['RAL 7021', 'Black grey', '#2f3234'],
+  ['RAL 7022', 'Umbra grey', '#4c4a44'],
+  ['RAL 7023', 'Concrete grey', '#808076'],
+  ['RAL 7024', 'Graphite grey', '#45494e'],
+  ['RAL 7026', 'Granite grey', '#374345'],
+  ['RAL 7030', 'Stone grey', '#928e85'],
+  ['RAL 7031', 'Blue grey', '#5b686d'],
+  ['RAL 7032', 'Pebble grey', '#b5b0a1'],
+  ['RAL 7033', 'Cement grey', '#7f8274'],
+  ['RAL 7034', 'Yellow grey', '#92886f'],
+  ['RAL 7035', 'Light grey', '#c5c7c4'],
+  ['RAL 7036', 'Platinum grey', '#979392'],
+  ['RAL 7037', 'Dusty grey', '#7a7b7a'],
+  ['RAL 7038', 'Agate grey', '#b0b0a9'],
+  ['RAL 7039', 'Quartz grey', '#6b665e'],
+  ['RAL 7040', 'Window grey', '#989ea1'],
+  ['RAL 7042', 'Traffic grey A', '#8e9291'],
+  ['RAL 7043', 'Traffic grey B', '#4f5250'],
+  ['RAL 7044', 'Silk grey', '#b7b3a8'],
+  ['RAL 7045', 'Telegrey 1', '#8d9295'],
+  ['RAL 7046', 'Telegrey 2', '#7e868a'],
+  ['RAL 7047', 'Telegrey 4', '#c8c8c7'],
+  ['RAL 7048', 'Pearl mouse grey', '#817b73'],
+
+  ['RAL 8000', 'Green brown', '#89693f'],
+  ['RAL 8001', 'Ochre brown', '#9d622b'],
+  ['RAL 8002', 'Signal brown', '#794d3e'],
+  ['RAL 8003', 'Clay brown', '#7e4b27'],
+  ['RAL 8004', 'Copper brown', '#8d4931'],
+  ['RAL 8007', 'Fawn brown', '#70462b'],
+  ['RAL 8008', 'Olive brown', '#724a25'],
+  ['RAL 8011', 'Nut brown', '#5a3827'],
+  ['RAL 8012', 'Red brown', '#66332b'],
+  ['RAL 8014', 'Sepia brown', '#4a3526'],
+  ['RAL 8015', 'Chestnut brown', '#5e2f26'],
+  ['RAL 8016', 'Mahogany brown', '#4c2b20'],
+  ['RAL 8017', 'Chocolate brown', '#442f29'],
+  ['RAL 8019', 'Grey brown', '#3d3635'],
+  ['RAL 8022', 'Black brown', '#1a1718'],
+  ['RAL 8023', 'Orange brown', '#a45729'],
+  ['RAL 8024', 'Beige brown', '#795038'],
+  ['RAL 8025', 'Pale brown', '#755847'],
+  ['RAL 8028', 'Terra brown', '#513a2a'],
+  ['RAL 8029', 'Pearl copper', '#7f4031'],
+
+  ['RAL 9001', 'Cream', '#e9e0d2'],
+  ['RAL 9002', 'Grey white', '#d6d5cb'],
+  ['RAL 9003', 'Signal white', '#ecece7'],
+  ['RAL 9004', 'Signal black', '#2b2b2c'],
+  ['RAL 9005', 'Jet black', '#0e0e10'],
+  ['RAL 9006', 'White aluminium', '#a1a1a0'],
+  ['RAL 9007', 'Grey aluminium', '#868581'],
+  ['RAL 9010', 'Pure white', '#f1ece1'],
+  ['RAL 9011', 'Graphite black', '#27292b'],
+  ['RAL 9016', 'Traffic white', '#f1f0ea'],
+  ['RAL 9017', 'Traffic black', '#2a292a'],
+  ['RAL 9018', 'Papyrus white', '#c8cbc4'],
+  ['RAL 9022', 'Pearl light grey', '#858583'],
+  ['RAL 9023', 'Pearl dark grey', '#797b7a'],
+];
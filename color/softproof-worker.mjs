@@ -0,0 +1,33 @@
+/*
+  color/softproof-worker.mjs — Web Worker that soft-proofs image pixels off the main thread
+
+  Start it as a module worker:
+    new Worker(new URL('./color/softproof-worker.mjs', import.meta.url), { type: 'module' })
+
+  Message in:  { id, key, settings: { intent, black, inks }, profile: ArrayBuffer | null,
+                 data: ArrayBuffer (RGBA bytes), threshold }
+  Message out: { id, proof: ArrayBuffer, overlay: ArrayBuffer, flagged } or { id, error }
+
+  `key` identifies the intent + separation settings + profile. The LUT is rebuilt only
+  when it changes, so re-running with a new threshold or image is just interpolation.
+  `profile` is the raw .icc file; it is only needed with a new key.
+*/
+
+import { parseIccProfile } from './icc.mjs';
+import { buildSoftProofLut, softProofPixels, proofConverter } from './softproof.mjs';
+
+// The LUT for the last settings key seen
+let cached = {key:null, lut:null};
+
+self.onmessage = ({data: msg}) => {
+  try {
+    if (cached.key !== msg.key) {
+      const profile = msg.profile ? parseIccProfile(msg.profile) : null;
+      cached = {key:msg.key, lut:buildSoftProofLut(proofConverter({...msg.settings, profile}))};
+    }
+    const {proof, overlay, flagged} = softProofPixels(cached.lut, new Uint8ClampedArray(msg.data), msg.threshold);
+    self.postMessage({id:msg.id, proof:proof.buffer, overlay:overlay.buffer, flagged}, [proof.buffer, overlay.buffer]);
+  } catch (err) {
+    self.postMessage({id:msg.id, error:err.message});
+  }
+};
@@ -0,0 +1,114 @@
+/*
+  color/softproof.mjs — soft-proof whole images through one rendering intent
+
+  What this does
+  --------------
+  Runs every pixel of an image through the same conversion the sandbox table shows
+  for one color: sRGB → Lab (D50) → intent → CMYK → preview RGB, either the Lab
+  approximations with the naïve CMYK round trip (rgbLinear_to_cmyk → cmyk_to_rgb) or
+  a loaded printer profile’s real B2A/A2B lookups. Pixels that moved more than a ΔE2000
+  threshold are marked on a separate overlay.
+
+  Converting millions of pixels one by one would be far too slow, so the conversion is
+  sampled once on an RGB grid (LUT_SIZE³ nodes) and each pixel is interpolated
+  trilinearly between its eight neighbours. The table only depends on the intent and
+  separation settings; changing the threshold or the image reuses it.
+
+  Runs in color/softproof-worker.mjs so big images don’t block the page; nothing here
+  touches the DOM, so it also runs on the main thread or in Node.
+
+  API
+  ---
+  LUT_SIZE                              grid nodes per channel (33)
+  proofConverter({ intent, black, inks, profile }) → convert(Lab) for buildSoftProofLut
+    intent: an ICC_INTENTS name when profile (parsed) is given, else an INTENTS name;
+    black / inks: the naïve separation and preview settings (convertIntent)
+  buildSoftProofLut(convert)            → { size, rgb: Float32Array, deltaE: Float32Array }
+    convert(Lab) → { rgb: [r,g,b] } display sRGB 0..1 — convertIntent / iccConvertIntent output
+  softProofPixels(lut, data, threshold) → { proof, overlay, flagged }
+    data: RGBA bytes (ImageData.data); proof/overlay: Uint8ClampedArray of the same size;
+    overlay is transparent except flagged pixels (ΔE2000 > threshold)
+*/
+
+import { srgbToLinear, mul3x3, M_srgb_to_xyz, adaptD65toD50, xyzD50_to_lab, INTENTS, convertIntent } from './pipeline.mjs';
+import { ICC_INTENTS, iccConvertIntent } from './icc.mjs';
+import { deltaE2000 } from './delta-e.mjs';
+
+export const LUT_SIZE = 33;
+// Overlay color for flagged pixels (magenta, mostly opaque, so it reads on any image)
+const FLAG_RGBA = [255, 0, 255, 200];
+
+// Display sRGB (0..1) → Lab (D50), the same chain as hexToLabD50 without the parser
+const srgbToLab = (rgb) => xyzD50_to_lab(adaptD65toD50(mul3x3(M_srgb_to_xyz, rgb.map(srgbToLinear))));
+
+// The per-color conversion for the chosen intent: the profile’s when one is loaded and
+// the intent is one it has, otherwise the Lab approximation with naïve CMYK
+export function proofConverter({intent, black, inks, profile}) {
+  const icc = profile && ICC_INTENTS.find(i => i.name === intent);
+  if (icc) return (Lab) => iccConvertIntent(profile, Lab, icc.id);
+  const approx = INTENTS.find(e => e.name === intent) || INTENTS[0];
+  return (Lab) => convertIntent(Lab, approx.fn, black, inks);
+}
+
+// Sample the conversion on the grid: output RGB and the ΔE2000 it costs at each node
+export function buildSoftProofLut(convert, size = LUT_SIZE) {
+  const n = size * size * size;
+  const rgb = new Float32Array(n * 3);
+  const deltaE = new Float32Array(n);
+  let i = 0;
+  for (let r = 0; r < size; r++) {
+    for (let g = 0; g < size; g++) {
+      for (let b = 0; b < size; b++, i++) {
+        const src = [r, g, b].map(v => v / (size - 1));
+        const Lab = srgbToLab(src);
+        const out = convert(Lab).rgb;
+        rgb[i*3] = out[0]; rgb[i*3 + 1] = out[1]; rgb[i*3 + 2] = out[2];
+        deltaE[i] = deltaE2000(Lab, srgbToLab(out));
+      }
+    }
+  }
+  return {size, rgb, deltaE};
+}
+
+// Interpolate every pixel from the LUT; alpha passes through untouched
+export function softProofPixels(lut, data, threshold) {
+  const {size, rgb, deltaE} = lut;
+  const proof = new Uint8ClampedArray(data.length);
+  const overlay = new Uint8ClampedArray(data.length);
+  const scale = (size - 1) / 255;
+  const s2 = size * size;
+  const out = [0, 0, 0];
+  let flagged = 0;
+
+  for (let p = 0; p < data.length; p += 4) {
+    // Grid cell and fractional position inside it, per channel
+    const fr = data[p] * scale, fg = data[p + 1] * scale, fb = data[p + 2] * scale;
+    const r0 = Math.min(fr | 0, size - 2), g0 = Math.min(fg | 0, size - 2), b0 = Math.min(fb | 0, size - 2);
+    const tr = fr - r0, tg = fg - g0, tb = fb - b0;
+    const base = r0*s2 + g0*size + b0;
+
+    out[0] = out[1] = out[2] = 0;
+    let dE = 0;
+    for (let corner = 0; corner < 8; corner++) {
+      const dr = corner >> 2, dg = (corner >> 1) & 1, db = corner & 1;
+      const w = (dr ? tr : 1 - tr) * (dg ? tg : 1 - tg) * (db ? tb : 1 - tb);
+      if (w === 0) continue;
+      const node = base + dr*s2 + dg*size + db;
+      out[0] += w * rgb[node*3];
+      out[1] += w * rgb[node*3 + 1];
+      out[2] += w * rgb[node*3 + 2];
+      dE += w * deltaE[node];
+    }
+
+    // Uint8ClampedArray rounds to nearest on its own
+    proof[p] = out[0] * 255;
+    proof[p + 1] = out[1] * 255;
+    proof[p + 2] = out[2] * 255;
+    proof[p + 3] = data[p + 3];
+    if (dE > threshold && data[p + 3] > 0) {
+      overlay.set(FLAG_RGBA, p);
+      flagged++;
+    }
+  }
+  return {proof, overlay, flagged};
+}
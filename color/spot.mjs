@@ -0,0 +1,68 @@
+/*
+  color/spot.mjs — nearest spot / reference colors to a brand color
+
+  What this does
+  --------------
+  Answers “which RAL (or house ink) is closest to our hex?”: every color of a library
+  is held as Lab (D50), and a search ranks them by ΔE2000 from the input’s Lab
+  (hexToLabD50), closest first. No DOM.
+  • Bundled: RAL Classic (color/ral-classic.mjs), from screen approximations — a
+    pointer into the fan deck, not a measured match.
+  • Your own: any palette the sandbox reads (ASE, GPL, CSS via palette-files.mjs, or a
+    batch-style list via batch.mjs), plus measured lists of `name, L, a, b` lines
+    (comma, semicolon or tab separated) as spectro software exports them.
+
+  API
+  ---
+  SPOT_LIBRARIES                 { 'ral-classic' } → library
+  spotLibrary(name, swatches)    → library from [{ name, color, code? }]; unreadable colors are left out
+  readSpotList(text)             → { entries: [{ name, color }], skipped: [{ line, text }] }
+                                   (parsePalette, with `name, L, a, b` lines read as lab())
+  nearestSpots(Lab, library, count = 5) → [{ code, name, hex, Lab, deltaE }] closest first
+    library: { name, colors: [{ code, name, hex, Lab }] }  (code '' when the source has none)
+*/
+
+import { hexToLabD50, labToScreen } from './pipeline.mjs';
+import { deltaE2000 } from './delta-e.mjs';
+import { parsePalette } from './batch.mjs';
+import { RAL_CLASSIC } from './ral-classic.mjs';
+
+// Swatches → a library; each color parsed once, here, so searches are only ΔE math.
+// Bundled sets pass a separate code; a loaded palette’s swatch name is kept whole
+export function spotLibrary(name, swatches) {
+  const colors = [];
+  swatches.forEach(swatch => {
+    const base = hexToLabD50(swatch.color);
+    if (!base) return;
+    colors.push({
+      code: swatch.code || '',
+      name: String(swatch.name || '').trim() || swatch.color,
+      hex: labToScreen(base.Lab).hex,
+      Lab: base.Lab,
+    });
+  });
+  return {name, colors};
+}
+
+export const SPOT_LIBRARIES = {
+  'ral-classic': spotLibrary('RAL Classic (approximate)',
+    RAL_CLASSIC.map(([code, name, hex]) => ({code, name, color:hex}))),
+};
+
+// `name <sep> L <sep> a <sep> b`, the numbers plain decimals
+const LAB_LINE = /^(.*?)[\t,;]\s*(-?\d+(?:\.\d+)?)\s*[\t,;]\s*(-?\d+(?:\.\d+)?)\s*[\t,;]\s*(-?\d+(?:\.\d+)?)\s*[\t,;]?$/;
+
+export function readSpotList(text) {
+  const lines = String(text || '').split(/\r?\n/).map(raw => {
+    const m = LAB_LINE.exec(raw.trim());
+    return m ? `${m[1].trim()}: lab(${m[2]} ${m[3]} ${m[4]})` : raw;
+  });
+  return parsePalette(lines.join('\n'));
+}
+
+export function nearestSpots(Lab, library, count = 5) {
+  return library.colors
+    .map(color => ({...color, deltaE:deltaE2000(Lab, color.Lab)}))
+    .sort((a, b) => a.deltaE - b.deltaE)
+    .slice(0, Math.max(0, count));
+}
@@ -0,0 +1,118 @@
+/*
+  color/vision.mjs — color-vision deficiency simulation and text contrast
+
+  What this does
+  --------------
+  Two checks a print conversion can quietly break:
+    • How a color looks to the ~8% of men with red-green (or the rarer blue-yellow)
+      color blindness — simulated with Machado, Oliveira & Fernandes (2009) matrices at
+      full severity (dichromacy), applied to linear sRGB.
+    • Whether text in the color stays readable on a background:
+        WCAG 2   contrast ratio (1–21) from relative luminance; AA needs 4.5 (3 for large
+                 text), AAA needs 7
+        APCA     lightness contrast Lc (APCA-W3 0.0.98G constants); polarity-aware, so
+                 dark-on-light and light-on-dark differ; positive = dark text
+  Contrast inputs are display sRGB in 0..1 (what’s on screen, or a print preview).
+
+  API
+  ---
+  CVD_TYPES                       { protanopia, deuteranopia, tritanopia } → { label, M }
+  simulateCvd(lin, type)          → linear sRGB as seen with that deficiency (clamped 0..1)
+  relativeLuminance(rgb)          → WCAG relative luminance 0..1
+  wcagContrast(fg, bg)            → contrast ratio 1..21 (order doesn’t matter)
+  wcagLevel(ratio)                → 'AAA' | 'AA' | 'AA large' | 'Fail'
+  apcaContrast(text, bg)          → Lc, about −108..106 (0 when too close to call)
+  apcaLevel(Lc)                   → what that |Lc| is good for, e.g. 'Body text'
+*/
+
+import { clamp, mul3x3, srgbToLinear } from './pipeline.mjs';
+
+// Machado et al. 2009, severity 1.0, linear RGB → simulated linear RGB
+export const CVD_TYPES = {
+  protanopia: {label:'Protanopia (no red cones)', M:[
+    [ 0.152286,  1.052583, -0.204868],
+    [ 0.114503,  0.786281,  0.099216],
+    [-0.003882, -0.048116,  1.051998],
+  ]},
+  deuteranopia: {label:'Deuteranopia (no green cones)', M:[
+    [ 0.367322,  0.860646, -0.227968],
+    [ 0.280085,  0.672501,  0.047413],
+    [-0.011820,  0.042940,  0.968881],
+  ]},
+  tritanopia: {label:'Tritanopia (no blue cones)', M:[
+    [ 1.255528, -0.076749, -0.178779],
+    [-0.078411,  0.930809,  0.147602],
+    [ 0.004733,  0.691367,  0.303900],
+  ]},
+};
+
+export function simulateCvd(lin, type) {
+  const cvd = CVD_TYPES[type];
+  if (!cvd) return lin.slice();
+  return mul3x3(cvd.M, lin).map(v => clamp(v, 0, 1));
+}
+
+// -----------------------------
+// WCAG 2
+// -----------------------------
+
+export function relativeLuminance(rgb) {
+  const [r, g, b] = rgb.map(v => srgbToLinear(clamp(v, 0, 1)));
+  return 0.2126*r + 0.7152*g + 0.0722*b;
+}
+
+export function wcagContrast(fg, bg) {
+  const a = relativeLuminance(fg), b = relativeLuminance(bg);
+  return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+export function wcagLevel(ratio) {
+  if (ratio >= 7) return 'AAA';
+  if (ratio >= 4.5) return 'AA';
+  if (ratio >= 3) return 'AA large';
+  return 'Fail';
+}
+
+// -----------------------------
+// APCA (APCA-W3 0.0.98G-4g)
+// -----------------------------
+
+const APCA = {
+  trc: 2.4, coeffs: [0.2126729, 0.7151522, 0.0721750],
+  normBG: 0.56, normTXT: 0.57, revTXT: 0.62, revBG: 0.65,
+  blkThrs: 0.022, blkClmp: 1.414, scale: 1.14, offset: 0.027, deltaYmin: 0.0005, loClip: 0.1,
+};
+
+// APCA’s screen luminance: plain 2.4 power (no linear toe), then a soft clamp near black
+function apcaY(rgb) {
+  const Y = rgb.reduce((sum, v, i) => sum + APCA.coeffs[i] * Math.pow(clamp(v, 0, 1), APCA.trc), 0);
+  return Y > APCA.blkThrs ? Y : Y + Math.pow(APCA.blkThrs - Y, APCA.blkClmp);
+}
+
+export function apcaContrast(text, bg) {
+  const Yt = apcaY(text), Yb = apcaY(bg);
+  if (Math.abs(Yb - Yt) < APCA.deltaYmin) return 0;
+  if (Yb > Yt) {
+    // Dark text on a light background
+    const sapc = (Yb ** APCA.normBG - Yt ** APCA.normTXT) * APCA.scale;
+    return sapc < APCA.loClip ? 0 : (sapc - APCA.offset) * 100;
+  }
+  // Light text on a dark background
+  const sapc = (Yb ** APCA.revBG - Yt ** APCA.revTXT) * APCA.scale;
+  return sapc > -APCA.loClip ? 0 : (sapc + APCA.offset) * 100;
+}
+
+// Simplified APCA use levels (the “bronze” lookup), by |Lc|
+const APCA_LEVELS = [
+  [90, 'Preferred body text'],
+  [75, 'Body text'],
+  [60, 'Content text'],
+  [45, 'Large & bold text'],
+  [30, 'Spot text, non-text'],
+  [15, 'Non-text only'],
+];
+
+export function apcaLevel(Lc) {
+  const found = APCA_LEVELS.find(([min]) => Math.abs(Lc) >= min);
+  return found ? found[1] : 'Not readable';
+}
@@ -3,16 +3,25 @@
 
   Includes:
     1) Theme toggle (button or switch) with OS-preference sync
-    2) In-view animation trigger via IntersectionObserver
-    3) Code "typewriter" line staggering helper
-    4) Table of contents (TOC) builder + active-section highlighting + mobile toggle
+    2) Motion settings: reduced-motion preference + saved #motionToggle override
+    3) In-view animation trigger via IntersectionObserver (once or replay per element)
+    4) Code "typewriter" line staggering helper + replay button per .code block
+    5) Table of contents (TOC) builder + active-section highlighting + mobile toggle,
+       with an optional h3 outline (nav.toc[data-toc-depth="3"]), per-section reading
+       progress and arrow-key navigation
 
   Usage:
     <script src="core.js" defer></script>
     
   Notes:
     • Safe to include site‑wide. Each feature no-ops if the required markup isn’t present.
-    • Keep CSS hooks: .animate (initial), .in-view (when revealed), nav.toc, #tocToggle, #tocList
+    • Per-element animation settings (on the element or any ancestor):
+        data-animate="once|replay"   play on first reveal only (default) or every time
+        data-stagger="350"           ms between .code-type lines of a .code block
+        data-duration="1000"         ms per .code-type line
+    • Keep CSS hooks: .animate (initial), .in-view (when revealed), <html data-motion="full|reduced">,
+      .code-replay, nav.toc, #tocToggle, #tocList,
+      .toc-item (.is-current, .is-read), .toc-twisty, .toc-sub, .toc-progress (--progress 0..1)
 */
 
 (() => {
@@ -86,9 +95,78 @@
   })();
 
   // -----------------------------
-  // 2) IN-VIEW ANIMATION TRIGGER
+  // 2) MOTION SETTINGS
+  //    Follows prefers-reduced-motion until the reader picks with #motionToggle
+  //    (saved like the theme). Sets <html data-motion="full|reduced"> for CSS and
+  //    tells the animation modules when it changes.
+  // -----------------------------
+  const Motion = (() => {
+    const LS_KEY = 'motion';
+    const root = document.documentElement;
+    const media = window.matchMedia('(prefers-reduced-motion: reduce)');
+    const listeners = [];
+
+    // 'full' | 'reduced' currently in effect
+    function current() {
+      return root.getAttribute('data-motion') || (media.matches ? 'reduced' : 'full');
+    }
+    function reduced() {
+      return current() === 'reduced';
+    }
+
+    // Apply a mode to <html data-motion>, sync the control and notify listeners.
+    function apply(mode, { persist = true } = {}) {
+      const next = mode === 'reduced' ? 'reduced' : 'full';
+      const changed = root.getAttribute('data-motion') !== next;
+      root.setAttribute('data-motion', next);
+      if (persist) localStorage.setItem(LS_KEY, next);
+      syncControls();
+      if (changed) listeners.forEach((fn) => fn(next === 'reduced'));
+    }
+
+    function syncControls() {
+      const btn = $('#motionToggle');   // pressed = motion reduced
+      if (btn) btn.setAttribute('aria-pressed', String(reduced()));
+    }
+
+    // Per-element setting from data-<name> on the element or its nearest ancestor
+    function setting(el, name, fallback) {
+      const host = el.closest(`[data-${name}]`);
+      return host ? host.getAttribute(`data-${name}`) : fallback;
+    }
+    // Same, as a non-negative number of ms
+    function ms(el, name, fallback) {
+      const v = parseFloat(setting(el, name, ''));
+      return Number.isFinite(v) && v >= 0 ? v : fallback;
+    }
+
+    function onChange(fn) {
+      listeners.push(fn);
+    }
+
+    function init() {
+      // Initialize from saved choice or system preference
+      const saved = localStorage.getItem(LS_KEY);
+      apply(saved || (media.matches ? 'reduced' : 'full'), { persist: false });
+
+      const btn = $('#motionToggle');
+      if (btn) btn.addEventListener('click', () => apply(reduced() ? 'full' : 'reduced'));
+
+      // Follow OS changes only when the user hasn’t chosen explicitly
+      media.addEventListener('change', (e) => {
+        if (!localStorage.getItem(LS_KEY)) apply(e.matches ? 'reduced' : 'full', { persist: false });
+      });
+    }
+
+    return { init, reduced, setting, ms, onChange };
+  })();
+
+  // -----------------------------
+  // 3) IN-VIEW ANIMATION TRIGGER
   //    Adds .in-view to elements with .animate when they enter the viewport.
-  //    (Removes .animate when they leave to prevent animating again.)
+  //    data-animate="once" (default): .animate is dropped on the first exit so it
+  //    never plays again; data-animate="replay": .in-view comes off on exit and the
+  //    animation reruns on the next entry. Nothing is revealed with reduced motion.
   // -----------------------------
   const InViewAnimations = (() => {
     function init() {
@@ -96,53 +174,104 @@
       if (!animated.length) return; // No-op if the feature isn’t used on the page
 
       const io = new IntersectionObserver((entries) => {
+        if (Motion.reduced()) return;
         entries.forEach((entry) => {
+          const el = entry.target;
           if (entry.isIntersecting) {
-            entry.target.classList.add('in-view');
-          } else {
-            // Note: Change the "animate" class here to "in-view" to re-animate 
-            // every time the element re-enters the viewport.
-            entry.target.classList.remove('animate');
+            el.classList.add('in-view');
+          } else if (Motion.setting(el, 'animate', 'once') === 'replay') {
+            el.classList.remove('in-view');
+          } else if (el.classList.contains('in-view')) {
+            el.classList.remove('animate');
+            io.unobserve(el);
           }
         });
       });
 
       animated.forEach((el) => io.observe(el));
+
+      // Reduced: settle everything as plain text. Full again: re-observe what hasn’t
+      // played, which reports (and so reveals) whatever is on screen right now
+      Motion.onChange((reduced) => {
+        if (reduced) {
+          $$('.animate.in-view').forEach((el) => el.classList.remove('in-view'));
+        } else {
+          io.disconnect();
+          $$('.animate').forEach((el) => io.observe(el));
+        }
+      });
     }
 
     return { init };
   })();
 
   // -----------------------------
-  // 3) CODE TYPEWRITER LINE STAGGER
+  // 4) CODE TYPEWRITER LINE STAGGER
   //    Looks for .code blocks that contain child elements with .code-type
-  //    and staggers their CSS animations.
+  //    and staggers their CSS animations (data-stagger / data-duration, in ms).
+  //    Each such block gets a .code-replay button that types it out again;
+  //    hidden while motion is reduced.
   // -----------------------------
   const CodeTypewriter = (() => {
+    const STAGGER = 350;    // ms between lines
+    const DURATION = 1000;  // ms per line
+
+    function time(block) {
+      const lines = block.querySelectorAll('.code-type');
+      lines.forEach((line, i) => {
+        // Step timing for typewriter feel
+        line.style.animationDelay = `${i * Motion.ms(line, 'stagger', STAGGER)}ms`;
+        line.style.animationDuration = `${Motion.ms(line, 'duration', DURATION)}ms`;
+        line.style.animationTimingFunction = 'steps(25, end)';
+        line.style.animationFillMode = 'both';
+      });
+      return lines;
+    }
+
+    // Restart the block’s animations: drop .in-view, force a style flush, add it back
+    function replay(block) {
+      if (Motion.reduced()) return;
+      const parts = $$('.code-type, .cursor', block);
+      parts.forEach((el) => el.classList.remove('in-view'));
+      void block.offsetWidth;
+      parts.forEach((el) => el.classList.add('in-view'));
+    }
+
     function init() {
+      const buttons = [];
       $$('.code').forEach((block) => {
-        const lines = block.querySelectorAll('.code-type');
-        lines.forEach((line, i) => {
-          // ~0.35s stagger; 1s duration; step timing for typewriter feel
-          line.style.animationDelay = `${i * 350}ms`;
-          line.style.animationDuration = '1000ms';
-          line.style.animationTimingFunction = 'steps(25, end)';
-          line.style.animationFillMode = 'both';
-        });
+        if (!time(block).length) return;
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'code-replay';
+        btn.textContent = '↻ Replay';
+        btn.setAttribute('aria-label', 'Replay the typing animation');
+        btn.hidden = Motion.reduced();
+        btn.addEventListener('click', () => replay(block));
+        block.appendChild(btn);
+        buttons.push(btn);
       });
+      Motion.onChange((reduced) => buttons.forEach((btn) => { btn.hidden = reduced; }));
     }
 
     return { init };
   })();
 
   // -----------------------------
-  // 4) TABLE OF CONTENTS (TOC)
-  //    - Auto-IDs for <section> <h2> (no clobbering existing IDs)
-  //    - Build <nav class="toc"> with anchors
-  //    - Highlight active section while scrolling
+  // 5) TABLE OF CONTENTS (TOC)
+  //    - Auto-IDs for <section> <h2> / <h3> (no clobbering existing IDs)
+  //    - Build <nav class="toc"> with anchors, one list item per section h2;
+  //      data-toc-depth="3" on the nav nests the h3s under each in a collapsible list
+  //    - Highlight active heading while scrolling, with a reading-progress bar per section
+  //    - Arrow keys move between entries (Left / Right collapse / expand a section)
   //    - Mobile TOC toggle (#tocToggle + #tocList)
   // -----------------------------
   const TOC = (() => {
+    // Where "reading" happens: 30% down the viewport, the same line the active-heading
+    // observer's -70% bottom margin leaves
+    const READING_LINE = 0.3;
+    let subId = 0;
+
     function slugify(str) {
       return str
         .toLowerCase()
@@ -162,45 +291,209 @@
       });
     }
 
-    function buildTOC(containers, headings) {
+    // Deepest heading level a nav lists: 3 with data-toc-depth="3", else 2
+    function depthOf(nav) {
+      return nav.getAttribute('data-toc-depth') === '3' ? 3 : 2;
+    }
+
+    function tocLink(h) {
+      const a = document.createElement('a');
+      a.href = `#${h.id}`;
+      a.textContent = h.textContent;
+      a.className = `depth-${h.tagName === 'H2' ? '2' : '3'}`;
+      return a;
+    }
+
+    // sections: [{ section, heading: <h2>, subs: [<h3>…] }], one per h2
+    function buildTOC(containers, sections) {
       containers.forEach((container) => {
         container.innerHTML = '';
-        headings.forEach((h) => {
-          const a = document.createElement('a');
-          a.href = `#${h.id}`;
-          a.textContent = h.textContent;
-          a.className = `depth-${h.tagName === 'H2' ? '2' : '3'}`;
-          container.appendChild(a);
+        const nested = depthOf(container) === 3;
+        const list = document.createElement('ol');
+        list.className = 'toc-list';
+        sections.forEach(({ heading, subs }) => {
+          const li = document.createElement('li');
+          li.className = 'toc-item';
+          const entry = document.createElement('div');
+          entry.className = 'toc-entry';
+          entry.appendChild(tocLink(heading));
+          const bar = document.createElement('span');
+          bar.className = 'toc-progress';
+          bar.setAttribute('aria-hidden', 'true');
+          li.append(entry, bar);
+
+          if (nested && subs.length) {
+            const sub = document.createElement('ol');
+            sub.className = 'toc-sub';
+            sub.id = `toc-sub-${++subId}`;
+            sub.hidden = true;
+            subs.forEach((h) => {
+              const item = document.createElement('li');
+              item.appendChild(tocLink(h));
+              sub.appendChild(item);
+            });
+            const twisty = document.createElement('button');
+            twisty.type = 'button';
+            twisty.className = 'toc-twisty';
+            twisty.textContent = '▸';
+            twisty.setAttribute('aria-expanded', 'false');
+            twisty.setAttribute('aria-controls', sub.id);
+            twisty.setAttribute('aria-label', `Subsections of ${heading.textContent}`);
+            entry.prepend(twisty);
+            li.appendChild(sub);
+          }
+          list.appendChild(li);
         });
+        container.appendChild(list);
       });
     }
 
-    function observeActive(headings) {
+    // Open or close a section's subsections. Opened by the reader = pinned open;
+    // opened because the section is active = closes again when the reader moves on
+    function setExpanded(li, open, pinned) {
+      const twisty = $('.toc-twisty', li);
+      const sub = $('.toc-sub', li);
+      if (!twisty || !sub) return;
+      sub.hidden = !open;
+      twisty.setAttribute('aria-expanded', String(open));
+      li.classList.toggle('is-pinned', open && pinned);
+    }
+
+    // Mark a heading's link active in every nav; a nav without that h3 marks its
+    // section instead. The active section's outline opens
+    function setActive(id, sectionOf) {
+      const sectionId = sectionOf[id] || id;
+      $$('.toc a').forEach((l) => l.classList.remove('active'));
+      $$('nav.toc').forEach((nav) => {
+        const link = $(`a[href="#${id}"]`, nav) || $(`a[href="#${sectionId}"]`, nav);
+        if (link) link.classList.add('active');
+        $$('.toc-item', nav).forEach((li) => {
+          const current = $('.toc-entry a', li).getAttribute('href') === `#${sectionId}`;
+          li.classList.toggle('is-current', current);
+          // Leave pinned groups and the one holding keyboard focus alone
+          if (!li.classList.contains('is-pinned') && !li.contains(document.activeElement)) {
+            setExpanded(li, current, false);
+          }
+        });
+      });
+    }
+
+    function observeActive(headings, sectionOf) {
       const obs = new IntersectionObserver(
         (entries) => {
           const visible = entries
             .filter((e) => e.isIntersecting)
             .sort((a, b) => a.boundingClientRect.top - b.boundingClientRect.top);
           if (!visible.length) return;
-          const id = visible[0].target.id;
-          $$('.toc a').forEach((l) => l.classList.remove('active'));
-          $$(`.toc a[href="#${id}"]`).forEach((l) => l.classList.add('active'));
+          setActive(visible[0].target.id, sectionOf);
         },
         { rootMargin: '0px 0px -70% 0px', threshold: [0, 1] }
       );
       headings.forEach((h) => obs.observe(h));
     }
 
+    // Fill each section's bar with how much of it has passed the reading line
+    // (--progress 0..1; .is-read once finished). A section with several h2s is split
+    // at them, one part per entry. Recomputed at most once per frame
+    function trackProgress(sections) {
+      const items = $$('nav.toc').map((nav) => $$('.toc-item', nav));
+      let frame = 0;
+      // All layout reads first, then all writes, so a frame costs one layout, not one per section
+      function update() {
+        frame = 0;
+        const line = window.innerHeight * READING_LINE;
+        const progress = sections.map(({ section, heading }, i) => {
+          const box = section.getBoundingClientRect();
+          const prev = sections[i - 1], next = sections[i + 1];
+          const top = prev && prev.section === section ? heading.getBoundingClientRect().top : box.top;
+          const bottom = next && next.section === section ? next.heading.getBoundingClientRect().top : box.top + box.height;
+          return bottom > top ? Math.min(Math.max((line - top) / (bottom - top), 0), 1) : 0;
+        });
+        progress.forEach((p, i) => {
+          items.forEach((list) => {
+            const li = list[i];
+            if (!li) return;
+            $('.toc-progress', li).style.setProperty('--progress', p.toFixed(3));
+            li.classList.toggle('is-read', p >= 1);
+          });
+        });
+      }
+      const schedule = () => { if (!frame) frame = requestAnimationFrame(update); };
+      window.addEventListener('scroll', schedule, { passive: true });
+      window.addEventListener('resize', schedule);
+      update();
+    }
+
+    // Twisties toggle (and pin) a section; arrow keys walk the visible links:
+    // Up / Down / Home / End move, Right opens a section or steps into it,
+    // Left closes it or steps back out to the section
+    function wireOutline(nav) {
+      nav.addEventListener('click', (e) => {
+        const twisty = e.target.closest('.toc-twisty');
+        if (!twisty) return;
+        setExpanded(twisty.closest('.toc-item'), twisty.getAttribute('aria-expanded') !== 'true', true);
+      });
+
+      nav.addEventListener('keydown', (e) => {
+        const from = e.target.closest('a, .toc-twisty');
+        if (!from) return;
+        const li = from.closest('.toc-item');
+        const sectionLink = $('.toc-entry a', li);
+        const sub = $('.toc-sub', li);
+        const open = sub && !sub.hidden;
+        const visible = $$('a', nav).filter((a) => !a.closest('[hidden]'));
+        const at = visible.indexOf(from.matches('a') ? from : sectionLink);
+        let target = null;
+
+        switch (e.key) {
+          case 'ArrowDown': target = visible[Math.min(at + 1, visible.length - 1)]; break;
+          case 'ArrowUp':   target = visible[Math.max(at - 1, 0)]; break;
+          case 'Home':      target = visible[0]; break;
+          case 'End':       target = visible[visible.length - 1]; break;
+          case 'ArrowRight':
+            if (!sub) return;
+            if (open) target = $('a', sub);
+            else setExpanded(li, true, true);
+            break;
+          case 'ArrowLeft':
+            if (from.matches('.depth-3')) target = sectionLink;
+            else if (open) setExpanded(li, false, false);
+            else return;
+            break;
+          default: return;
+        }
+        e.preventDefault();
+        if (target) target.focus();
+      });
+    }
+
     function init() {
       const main = $('main');
       if (!main) return; // No-op on pages without main content
 
-      const headings = Array.from(main.querySelectorAll('section h2'));
-      if (!headings.length) return;
+      // One entry per section h2, in page order; each h3 nests under the nearest h2 before it
+      const sections = [];
+      $$('section h2, section h3', main).forEach((h) => {
+        if (h.tagName === 'H2') sections.push({ section: h.closest('section'), heading: h, subs: [] });
+        else if (sections.length) sections[sections.length - 1].subs.push(h);
+      });
+      if (!sections.length) return;
+
+      // Section ids first, so an h3 slug can never push an h2 off its usual id
+      ensureIds(sections.map((s) => s.heading));
+      ensureIds(sections.flatMap((s) => s.subs));
+
+      const navs = $$('nav.toc');
+      const listed = navs.some((nav) => depthOf(nav) === 3)
+        ? sections.flatMap((s) => [s.heading, ...s.subs])
+        : sections.map((s) => s.heading);
+      const sectionOf = {};
+      sections.forEach((s) => s.subs.forEach((h) => { sectionOf[h.id] = s.heading.id; }));
 
-      ensureIds(headings);
-      buildTOC($$('nav.toc'), headings);
-      observeActive(headings);
+      buildTOC(navs, sections);
+      navs.forEach(wireOutline);
+      observeActive(listed, sectionOf);
+      trackProgress(sections);
 
       // --- Mobile TOC wiring (dock to header when visible; portal when not) ---
       const toggleBtn = document.getElementById('tocToggle');   // header button
@@ -318,6 +611,7 @@
 
   function start() {
     Theme.init();
+    Motion.init();
     InViewAnimations.init();
     CodeTypewriter.init();
     TOC.init();
@@ -3,13 +3,62 @@
 
   What this does
   --------------
-  • Accepts a HEX color input and previews it (live swatch).
+  • Accepts any CSS Color 4 input (hex, rgb(), hsl(), lab(), oklch(), named…) and
+    previews it (live swatch); unreadable input shows an inline error. Typing converts
+    live after a short pause; a native color picker and linked R/G/B and L/a/b sliders
+    drive the same input and follow whatever color is showing.
   • Converts the color along a simplified pipeline:
       HEX (sRGB) → linear sRGB → XYZ (D65) → Bradford-adapted XYZ (D50) → Lab (D50)
+    Hex / rgb() numbers can instead be read as Display P3, Adobe RGB or Rec. 2020
+    (#sourceSpace); the swatch previews in display-p3 where the browser supports it.
   • Applies *approximate* rendering-intent transforms in Lab to illustrate why different
     intents produce different printed colors (educational only — not a true ICC CMM).
   • Converts back to linear sRGB and to an *approximate* CMYK (device-independent,
     K-under-color-removal with simple GCR). This is just for demo—not press-ready.
+  • Optionally loads a local CMYK printer profile (.icc/.icm, read in-browser via
+    color/icc.mjs); the four intent rows then show the profile’s real B2A separations
+    and the Lab they print as (A2B1).
+  • Lets the reader pick the naïve rows’ black generation (none → maximum GCR, or UCR),
+    black start, max K and rich black, to compare separations and ink totals. Ideal inks
+    preview every recipe alike; switching #inkModel to press inks (INK_MODELS) makes the
+    recipes differ on screen too.
+  • Checks the input against the screen (sRGB) and a print gamut — a typical coated
+    press, or the loaded profile’s — and flags intent rows that land outside it, with
+    the ΔE each intent’s gamut mapping (clip / hue- / chroma-preserving) costs.
+  • Shows each row’s C, M, Y, K and total area coverage (TAC), flagging rows whose
+    TAC exceeds the ink limit in #tacLimit.
+  • Measures how far each row drifted from the input (ΔE76, ΔE94 or ΔE2000, via
+    color/delta-e.mjs) and marks it pass/fail against a tolerance — ΔE2000 < 2 by default.
+    Rows are built and scored by color/intent-rows.mjs, which bin/rgb2cmyk.mjs shares.
+  • Pipeline inspector: under the table, every intermediate value for the current color
+    (normalized sRGB, linear, XYZ D65, Bradford, XYZ D50, Lab, naïve CMYK) with the
+    matrices used, each linked back to the article section that explains it.
+  • Reverse mode: CMYK build values or measured Lab back to screen hex / RGB with a swatch,
+    warning when the color had to be clipped to sRGB. CMYK goes through the loaded
+    profile (A2B1) when there is one, else the naïve ideal-ink inversion.
+  • Chromatic adaptation explorer: adapts the current color between any two illuminants
+    (D50, D55, D65, D75, A, F2, F11 or a custom x, y) with every CAT_METHODS transform
+    and shows how far each lands from Bradford.
+  • Vision & contrast: the input as seen with protanopia, deuteranopia and tritanopia
+    (color/vision.mjs, Machado 2009), and WCAG 2 / APCA contrast of text in the screen
+    color and in each intent’s print result on a chosen background, flagging rows whose
+    WCAG grade drops in print.
+  • Nearest spot colors: the closest colors of a reference library — RAL Classic bundled
+    (screen approximations), or the reader’s own palette or measured Lab list — ranked
+    by ΔE2000 (color/spot.mjs).
+  • Batch mode: converts a pasted or uploaded palette through every intent into a
+    grid and exports hex, Lab, CMYK, TAC and ΔE as CSV or JSON. Adobe .ase, GIMP .gpl
+    and CSS palettes load the same way and export back as CMYK swatches
+    (color/palette-files.mjs) — all in the browser, nothing is uploaded.
+  • Image soft proof: a local image re-rendered beside the original through one intent
+    (color/softproof.mjs in a Web Worker, via a cached LUT; on the main thread when the
+    worker can’t run), with an overlay marking pixels that moved more than a ΔE2000 threshold.
+  • Shareable state: the color, source space and settings live in the URL hash
+    (#sandbox?c=…), so links reopen the same conversion and back / forward step through
+    converted colors. Recently converted colors are kept in localStorage as swatches.
+
+  The math lives in color/pipeline.mjs; this file is only the DOM consumer of it.
+  Load it as a module:  <script type="module" src="sandbox.js"></script>
 
   Safe to include anywhere
   ------------------------
@@ -18,214 +67,1297 @@
 
   Key DOM hooks
   -------------
-  #hexInput           <input> where users type a HEX color (e.g., #629c67)
-  #convertBtn         <button> to trigger conversion; Enter on input also works
+  #hexInput           <input> where users type a color (e.g., #629c67, rgb(98 156 103), teal)
+  #convertBtn         <button> to trigger conversion; Enter on input also works (typing
+                      converts live, Convert / Enter / leaving the field records it)
   #liveSwatch         <div> the background is set to the current color
   #intentTable tbody  <tbody> rows are populated for each rendering intent
+  #colorError         (optional) inline message shown when the input can’t be parsed
+  #colorPicker        (optional) <input type="color"> kept on the current color (in the source space)
+  #rgbR, #rgbG, #rgbB (optional) <input type="range"> 0..255 in the source space
+  #labL, #labA, #labB (optional) <input type="range"> Lab (D50); each slider’s <output for> shows its value
+  #copyLink           (optional) <button> copies a link to the current color and settings
+  #recentColors       (optional) container filled with a button per recently converted color
+  #sourceSpace        (optional) <select> RGB space hex / rgb() input is in (RGB_SPACES key)
+  #iccInput           (optional) <input type="file"> for a printer profile
+  #iccClear           (optional) <button> to drop the profile and go back to approximations
+  #iccStatus          (optional) shows the loaded profile’s name or why it was rejected
+  #tacLimit           (optional) <input type="number"> ink limit in %, default 300
+  #blackGen           (optional) <select> black generation strategy (BLACK_GENERATION key or 'ucr')
+  #blackStart, #maxK  (optional) <input type="number"> in %; #richBlack (optional) checkbox
+  #inkModel           (optional) <select> inks the naïve swatches preview through (INK_MODELS key)
+  #gamutStatus        (optional) input color’s sRGB / print gamut status and mapped swatch
+  #gamutMethod        (optional) <select> mapping method used for #gamutStatus (GAMUT_METHODS key)
+  #deltaEFormula      (optional) <select> ΔE formula for the table ('76', '94', '2000')
+  #deltaETol          (optional) <input type="number"> pass/fail tolerance, default 2
+  #inspectorSteps     (optional) <ol> filled with one <li> per pipeline stage
+  #reverseMode        (optional) <select> 'cmyk' or 'lab'; #reverseInput <input> the values,
+                      #reverseConvert <button>; results go to #reverseSwatch, #reverseOutput,
+                      #reverseWarning; #reverseUse copies the hex into #hexInput
+  #adaptSource, #adaptTarget  (optional) <select>s of ILLUMINANTS keys or 'custom'; custom
+                      whites come from #adaptSourceX/Y, #adaptTargetX/Y; #adaptTable tbody gets a row per method
+  #contrastBg         (optional) <input type="color"> background for the contrast check (white)
+  #cvdType            (optional) <select> 'none' or a CVD_TYPES key; simulates both text and background
+  #cvdSwatches        (optional) container filled with the input color under each deficiency
+  #contrastTable tbody  (optional) screen + one row per intent: sample, WCAG 2 ratio, APCA Lc
+  #spotLibrary        (optional) <select> SPOT_LIBRARIES key, or 'custom' once #spotFile loaded one
+  #spotFile           (optional) <input type="file"> palette (.ase/.gpl/.css) or color / Lab list
+  #spotCount          (optional) <input type="number"> matches to list, default 5
+  #spotStatus         (optional) the loaded library’s name and size, or why it was rejected
+  #spotTable tbody    (optional) one row per match: swatch, code and name, Lab, ΔE2000
+  #batchInput         (optional) <textarea> palette list, one color per line (see color/batch.mjs)
+  #batchFile          (optional) <input type="file"> .txt/.csv palette, loaded into #batchInput
+  #batchRun           (optional) <button> converts the list; #batchStatus reports counts
+  #batchTable         (optional) <table> with <thead>/<tbody>: colors × intents grid
+  #batchCsv, #batchJson  (optional) <button>s that download the last batch
+  #paletteIntent      (optional) <select> intent whose CMYK goes into palette exports
+  #paletteAse, #paletteGpl, #paletteCss  (optional) <button>s that download the batch as a palette
+  #proofFile          (optional) <input type="file" accept="image/*"> image to soft-proof
+  #proofSource, #proofResult, #proofOverlay  (optional) <canvas>es: original, proof, ΔE overlay
+  #proofIntent        (optional) <select> intent name for the proof; #proofThreshold ΔE2000 limit
+  #proofShowOverlay   (optional) checkbox toggling #proofOverlay; #proofStatus reports counts
 */
 
-(function(){
-  // Utility: clamp a value into the closed interval [lo, hi]
-  const clamp = (v, lo, hi) => Math.min(Math.max(v, lo), hi);
+import { clamp, hexToLabD50, hexToRgb, srgbToLinear, INTENTS, labToLinearRgbViaD50, linearToSrgb, rgbToHex, DEFAULT_TAC_LIMIT, DEFAULT_BLACK, INK_MODELS, DEFAULT_INKS,
+  parseColor, mul3x3, M_bradford, Mi_bradford, D65, D50, adaptationScale, rgbLinear_to_cmyk, RGB_SPACES, xyzD65_to_rgbSpace,
+  CAT_METHODS, ILLUMINANTS, xyToXYZ, adaptXYZ, xyzD50_to_lab, labToScreen, cmykToScreen } from './color/pipeline.mjs';
+import { parseIccProfile, profileCmykToLab } from './color/icc.mjs';
+import { GAMUT_METHODS, SRGB_GAMUT, PRESS_GAMUT, iccGamut, mapToGamut } from './color/gamut.mjs';
+import { DELTA_E, DEFAULT_TOLERANCE, deltaE } from './color/delta-e.mjs';
+import { parsePalette, batchToCsv, batchToJson } from './color/batch.mjs';
+import { readPaletteFile, writeAse, writeGpl, writeCssProperties } from './color/palette-files.mjs';
+import { buildSoftProofLut, softProofPixels, proofConverter } from './color/softproof.mjs';
+import { CVD_TYPES, simulateCvd, wcagContrast, wcagLevel, apcaContrast, apcaLevel } from './color/vision.mjs';
+import { SPOT_LIBRARIES, spotLibrary, readSpotList, nearestSpots } from './color/spot.mjs';
+import { intentRows } from './color/intent-rows.mjs';
+
+// Sandbox state: the last color entered, the loaded printer profile (if any), its raw
+// bytes (for the soft-proof worker) and its gamut
+let current = '#629c67';
+let profile = null;
+let profileBuffer = null;
+let profileGamut = null;
+
+// Print gamut the sandbox checks against: the profile’s when loaded, else the press model
+const printGamut = () => profileGamut || PRESS_GAMUT;
+
+// Pause after the last keystroke before the table follows what’s typed
+const LIVE_DELAY = 250;
+
+// Helper: percent formatter for 0..1 → 0..100
+function fmtPct(x){ return Math.round(x*100); }
+// Helper: format Lab as "L 00.0, a 00.0, b 00.0"
+function fmtLab(Lab){ return `L ${Lab[0].toFixed(1)}, a ${Lab[1].toFixed(1)}, b ${Lab[2].toFixed(1)}`; }
+
+// Current ink limit from #tacLimit (falls back to the default when absent/invalid)
+function tacLimit(){
+  const el = document.getElementById('tacLimit');
+  const v = el ? parseFloat(el.value) : NaN;
+  return Number.isFinite(v) && v > 0 ? v : DEFAULT_TAC_LIMIT;
+}
+
+// RGB space plain hex / rgb() input is read in (#sourceSpace, an RGB_SPACES key)
+function sourceSpace(){
+  const el = document.getElementById('sourceSpace');
+  return el && RGB_SPACES[el.value] ? el.value : 'srgb';
+}
+
+// ΔE formula and pass/fail tolerance from the optional controls
+function tolerance(){
+  const f = document.getElementById('deltaEFormula');
+  const t = document.getElementById('deltaETol');
+  const max = t ? parseFloat(t.value) : NaN;
+  return {
+    formula: f && DELTA_E[f.value] ? f.value : DEFAULT_TOLERANCE.formula,
+    max:     Number.isFinite(max) && max > 0 ? max : DEFAULT_TOLERANCE.max,
+  };
+}
+
+// Black generation settings from the optional controls (missing controls keep defaults)
+function blackSettings(){
+  const el = (id) => document.getElementById(id);
+  const pct = (id, fallback) => {
+    const v = el(id) ? parseFloat(el(id).value) : NaN;
+    return Number.isFinite(v) ? Math.min(Math.max(v, 0), 100) / 100 : fallback;
+  };
+  return {
+    strategy:   el('blackGen') ? el('blackGen').value : DEFAULT_BLACK.strategy,
+    blackStart: pct('blackStart', DEFAULT_BLACK.blackStart),
+    maxK:       pct('maxK', DEFAULT_BLACK.maxK),
+    richBlack:  el('richBlack') ? el('richBlack').checked : DEFAULT_BLACK.richBlack,
+  };
+}
+
+// Inks the naïve swatches preview through (ideal when the control is missing)
+function inkModel(){
+  const el = document.getElementById('inkModel');
+  return el && INK_MODELS[el.value] ? el.value : DEFAULT_INKS;
+}
+
+// Input color’s gamut status line, with a swatch of where the chosen method maps it
+function renderGamutStatus(Lab){
+  const el = document.getElementById('gamutStatus');
+  if (!el) return;
+  const select = document.getElementById('gamutMethod');
+  const method = select ? select.value : 'clip';
+  const gamut = printGamut();
+  const mapped = mapToGamut(Lab, gamut, method);
+  const screen = SRGB_GAMUT.contains(Lab) ? 'in gamut' : 'outside sRGB (clipped on screen)';
+  const print = mapped.inGamut ? 'in gamut' : 'out of gamut';
+  el.textContent = `Screen: ${screen} · Print (${gamut.name}): ${print} — ${GAMUT_METHODS[method] || method} moves it ΔE ${mapped.deltaE.toFixed(1)} `;
+  const sw = document.createElement('span');
+  sw.className = 'gamut-swatch';
+  sw.style.background = rgbToHex(labToLinearRgbViaD50(mapped.Lab).map(linearToSrgb));
+  sw.title = `Mapped: ${fmtLab(mapped.Lab)}`;
+  el.appendChild(sw);
+  el.classList.toggle('is-out', !mapped.inGamut);
+}
 
-  // Parse #RRGGBB → normalized sRGB triplet in [0..1]; returns null on invalid
-  function hexToRgb(hex) {
-    const m = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex.trim());
-    if (!m) return null;
-    return [parseInt(m[1],16)/255, parseInt(m[2],16)/255, parseInt(m[3],16)/255];
+// Show or clear the inline parse error; a failed parse also empties the table
+function showError(msg){
+  const input = document.getElementById('hexInput');
+  const err = document.getElementById('colorError');
+  input.setAttribute('aria-invalid', String(!!msg));
+  if (err) { err.textContent = msg || ''; err.hidden = !msg; }
+  if (msg) {
+    document.getElementById('liveSwatch').style.background = '';
+    document.querySelector('#intentTable tbody').innerHTML = '';
+    const steps = document.getElementById('inspectorSteps');
+    if (steps) steps.innerHTML = '';
   }
+}
 
-  // IEC 61966-2-1 sRGB electro‑optical transfer function (EOTF) — companding removal
-  function srgbToLinear(c) { return (c <= 0.04045) ? (c/12.92) : Math.pow((c+0.055)/1.055, 2.4); }
-  // sRGB inverse transfer function — companding to display space
-  function linearToSrgb(c) { return (c <= 0.0031308) ? (12.92*c) : (1.055*Math.pow(c, 1/2.4) - 0.055); }
+// Run one color through every intent row (color/intent-rows.mjs) with the page’s
+// settings. Shared by the single-color table and batch mode.
+function convertColor(color){
+  const base = hexToLabD50(color, sourceSpace());
+  if (!base) return null;
+  const rows = intentRows(base.Lab, {profile, black:blackSettings(), inks:inkModel(), tolerance:tolerance(), printGamut:printGamut()});
+  return {base, rows};
+}
 
-  // Multiply a 3×3 matrix by a 3×1 vector (column-major math)
-  function mul3x3(a,b) {
-    return [
-      a[0][0]*b[0] + a[0][1]*b[1] + a[0][2]*b[2],
-      a[1][0]*b[0] + a[1][1]*b[1] + a[1][2]*b[2],
-      a[2][0]*b[0] + a[2][1]*b[1] + a[2][2]*b[2]
-    ];
+// Wide-gamut screens get the swatch as color(display-p3 …), so P3 / Rec.2020 input isn’t
+// clipped to sRGB in the preview; elsewhere it’s the sRGB-clipped hex the pipeline sees
+const SUPPORTS_P3 = typeof CSS !== 'undefined' && CSS.supports && CSS.supports('color', 'color(display-p3 1 0 0)');
+function previewColor(base){
+  if (!SUPPORTS_P3) return rgbToHex(base.lin.map(linearToSrgb));
+  const p3 = xyzD65_to_rgbSpace(base.XYZd65, 'display-p3').map(v => Math.min(Math.max(v, 0), 1));
+  return `color(display-p3 ${p3.map(v => v.toFixed(5)).join(' ')})`;
+}
+
+// Render the table for all intents and update the live swatch; false when the color
+// couldn’t be read, leaving `current` on the last color that could
+function update(color){
+  const result = convertColor(color);
+  if (!result) {
+    showError(`Couldn’t read “${color}” as a color. Try #629c67, #abc, rgb(98 156 103), hsl(125 23% 50%), lab(59 -28 22), oklch(0.63 0.1 145) or a name like teal.`);
+    return false;
   }
+  current = color;
+  const {base, rows} = result;
+  showError('');
+  document.getElementById('liveSwatch').style.background = previewColor(base);
+  renderGamutStatus(base.Lab);
+  renderInspector(color, base);
+  renderAdaptation(base);
+  renderVision(base, rows);
+  renderSpots(base);
 
-  // Bradford cone-response matrix (for chromatic adaptation)
-  const M = [
-    [ 0.8951000,  0.2664000, -0.1614000],
-    [-0.7502000,  1.7135000,  0.0367000],
-    [ 0.0389000, -0.0685000,  1.0296000]
-  ];
-  // Inverse Bradford matrix
-  const Mi = [
-    [ 0.9869929, -0.1470543, 0.1599627],
-    [ 0.4323053,  0.5183603, 0.0492912],
-    [-0.0085287,  0.0400428, 0.9684867]
-  ];
-  // Reference white tristimulus values for D65 and D50 (normalized Y=1)
-  const D65 = [0.95047, 1.00000, 1.08883];
-  const D50 = [0.96422, 1.00000, 0.82521];
-
-  // Adapt XYZ from D65 white to D50 using Bradford adaptation
-  function adaptD65toD50(XYZ) {
-    const LMS = mul3x3(M, XYZ);
-    const LMS_w_src = mul3x3(M, D65);
-    const LMS_w_dst = mul3x3(M, D50);
-    const scale = [LMS_w_dst[0]/LMS_w_src[0], LMS_w_dst[1]/LMS_w_src[1], LMS_w_dst[2]/LMS_w_src[2]];
-    const LMS_c = [LMS[0]*scale[0], LMS[1]*scale[1], LMS[2]*scale[2]];
-    return mul3x3(Mi, LMS_c);
-  }
-  // Adapt XYZ from D50 white back to D65 (inverse Bradford)
-  function adaptD50toD65(XYZ) {
-    const LMS = mul3x3(M, XYZ);
-    const LMS_w_src = mul3x3(M, D50);
-    const LMS_w_dst = mul3x3(M, D65);
-    const scale = [LMS_w_dst[0]/LMS_w_src[0], LMS_w_dst[1]/LMS_w_src[1], LMS_w_dst[2]/LMS_w_src[2]];
-    const LMS_c = [LMS[0]*scale[0], LMS[1]*scale[1], LMS[2]*scale[2]];
-    return mul3x3(Mi, LMS_c);
-  }
-
-  // Linear sRGB → XYZ (D65) matrix per IEC 61966-2-1
-  const M_srgb_to_xyz = [
-    [0.4124564, 0.3575761, 0.1804375],
-    [0.2126729, 0.7151522, 0.0721750],
-    [0.0193339, 0.1191920, 0.9503041]
-  ];
-  // XYZ (D65) → linear sRGB (inverse matrix)
-  const M_xyz_to_srgb = [
-    [ 3.2404542, -1.5371385, -0.4985314],
-    [-0.9692660,  1.8760108,  0.0415560],
-    [ 0.0556434, -0.2040259,  1.0572252]
+  // Rows are built off-document and swapped in at once, so live updates cost one reflow
+  const tbody = document.querySelector('#intentTable tbody');
+  const frag = document.createDocumentFragment();
+  const limit = tacLimit();
+  const tol = tolerance();
+  rows.forEach((row) => {
+    const {name, out, tac} = row;
+    const tr = document.createElement('tr');
+    const cell = (text) => { const td = document.createElement('td'); td.textContent = text; tr.appendChild(td); return td; };
+    cell(name);
+    const sw = document.createElement('div'); sw.className = 'swatch'; sw.style.background = out.hex;
+    cell('').appendChild(sw);
+    ['C','M','Y','K'].forEach(ch => { cell(fmtPct(out.cmyk[ch])).className = 'num'; });
+
+    // TAC with a visible + screen-reader warning when it exceeds the ink limit
+    const tdTac = cell(`${Math.round(tac)}%`);
+    tdTac.className = 'num tac';
+    if (tac > limit) {
+      tr.classList.add('tac-over');
+      const warn = document.createElement('span');
+      warn.className = 'tac-warn';
+      warn.textContent = ' ⚠';
+      warn.title = `Over the ${limit}% ink limit`;
+      warn.setAttribute('aria-label', `over the ${limit}% ink limit`);
+      tdTac.appendChild(warn);
+    }
+    cell(fmtLab(out.Lab));
+
+    // ΔE input → this row’s result, with pass/fail against the tolerance
+    const tdDe = cell(`${row.deltaE.toFixed(2)} ${row.pass ? '✓' : '✗'}`);
+    tdDe.className = `num delta-e ${row.pass ? 'pass' : 'fail'}`;
+    tdDe.title = `${DELTA_E[tol.formula].label}: ${row.pass ? 'within' : 'over'} tolerance ${tol.max}`;
+
+    // Gamut flag: where the intent’s color lands relative to the print gamut
+    const g = row.inGamut;
+    const tdGamut = cell(g.inGamut ? 'In gamut' : `⚠ Out · ΔE ${g.deltaE.toFixed(1)}`);
+    tdGamut.className = 'gamut';
+    if (!g.inGamut) {
+      tr.classList.add('out-of-gamut');
+      tdGamut.title = row.gamut
+        ? `Outside ${printGamut().name}; ${GAMUT_METHODS[row.gamut]} moves it ΔE ${g.deltaE.toFixed(1)}`
+        : `Input is outside ${printGamut().name}; the profile moved it ΔE ${g.deltaE.toFixed(1)}`;
+    }
+    frag.appendChild(tr);
+  });
+  tbody.replaceChildren(frag);
+  syncControls(base);
+  return true;
+}
+
+// Picker and slider groups: channel ids in order, and the CSS color they spell
+const SLIDERS = {
+  rgb: {ids:['rgbR', 'rgbG', 'rgbB'], color:(v) => `rgb(${v.join(' ')})`},
+  lab: {ids:['labL', 'labA', 'labB'], color:(v) => `lab(${v.join(' ')})`},
+};
+
+// Set a slider group (range inputs clamp to their own min/max) and its <output>s
+function setSliders(ids, values){
+  ids.forEach((id, i) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.value = values[i];
+    const out = document.querySelector(`output[for="${id}"]`);
+    if (out) out.textContent = el.value;
+  });
+}
+
+// Point the picker and sliders at the converted color: R/G/B and the picker in the
+// source space (what hex / rgb() input means there), L/a/b as the D50 Lab. Writes only,
+// no layout reads, so it’s safe on every live update
+function syncControls(base){
+  const rgb = xyzD65_to_rgbSpace(base.XYZd65, sourceSpace()).map(v => clamp(v, 0, 1));
+  const picker = document.getElementById('colorPicker');
+  if (picker) picker.value = rgbToHex(rgb);
+  setSliders(SLIDERS.rgb.ids, rgb.map(v => Math.round(v*255)));
+  setSliders(SLIDERS.lab.ids, base.Lab.map(v => Math.round(v)));
+}
+
+// A slider group’s current position as a CSS color string
+function sliderColor(group){
+  const {ids, color} = SLIDERS[group];
+  return color(ids.map(id => document.getElementById(id).value));
+}
+
+// -----------------------------
+// Pipeline inspector
+// -----------------------------
+
+// Article sections the inspector links each stage back to (ids on their <h2>s)
+const ARTICLE = {
+  normalize: '#decoding-the-hex-and-normalizing-for-math',
+  gamma:     '#power-up-gamma-decode-to-linear-mode',
+  xyz:       '#unlocking-the-world-map-linear-rgb-xyz-d65',
+  bradford:  '#crossing-realms-from-d65-to-d50-bradford',
+  lab:       '#stat-sheet-unlocked-xyz-d50-lab-d50',
+  naive:     '#sidequestnave-cmyk-no-icc',
+};
+
+// Transfer curve of each source space, as the inspector writes it
+const TRANSFER_LABELS = {
+  'srgb':       'c ≤ 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055)^2.4',
+  'display-p3': 'c ≤ 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055)^2.4   (same curve as sRGB)',
+  'a98-rgb':    'c^(563/256)   (≈ 2.2 power)',
+  'rec2020':    'c < 0.081243 ? c / 4.5 : ((c + 0.099297) / 1.099297)^(1/0.45)',
+};
+
+// Inspector number formats: 6 decimals like the worked example, matrices like the article’s
+const n6 = (v) => v.toFixed(6);
+const vec = (v) => `(${v.map(n6).join(', ')})`;
+function fmtMatrix(name, m){
+  const pad = ' '.repeat(name.length + 3);
+  const row = (r) => r.map(v => (v < 0 ? '' : ' ') + v.toFixed(7)).join('  ');
+  return [`${name} = ⎡ ${row(m[0])} ⎤`, `${pad}⎢ ${row(m[1])} ⎥`, `${pad}⎣ ${row(m[2])} ⎦`];
+}
+
+// Every stage of hexToLabD50 (plus the naïve separation) for the current color
+function inspectorStages(color, base){
+  const parsed = parseColor(color);
+  // RGB stages are shown in the space the input was read in; other input is sRGB worked backwards
+  const src = base.source || {space:'srgb', coords:base.lin.map(linearToSrgb), linear:base.lin};
+  const space = RGB_SPACES[src.space];
+  const srgb = src.coords;
+  const later = base.source ? null : `Your input is ${parsed.space}; this stage is worked backwards from it.`;
+  const ch = ['R', 'G', 'B'];
+  const scale = adaptationScale(D65, D50);
+  const lmsSrc = mul3x3(M_bradford, D65), lmsDst = mul3x3(M_bradford, D50);
+  const lms = mul3x3(M_bradford, base.XYZd65);
+  const ratio = base.XYZd50.map((v, i) => v / D50[i]);
+  const f = (t) => t > 216/24389 ? Math.cbrt(t) : (24389/27*t + 16) / 116;
+  const [fx, fy, fz] = ratio.map(f);
+  const cmyk = rgbLinear_to_cmyk(base.lin, blackSettings());
+  const display = base.lin.map(v => Math.min(Math.max(linearToSrgb(v), 0), 1));
+
+  return [
+    {title:`Decode hex and normalize (${space.name})`, href:ARTICLE.normalize, note:later, lines:[
+      `Hex        ${srgb.map(v => Math.round(Math.min(Math.max(v, 0), 1)*255).toString(16).padStart(2, '0').toUpperCase()).join('        ')}`,
+      `Decimal    ${srgb.map(v => String(Math.round(v*255)).padEnd(8)).join('  ')}`,
+      `÷ 255      ${srgb.map(n6).join('  ')}`,
+    ]},
+    {title:'Gamma decode to linear', href:ARTICLE.gamma, note:later, lines:[
+      TRANSFER_LABELS[src.space],
+      ...ch.map((c, i) => `${c}  ${n6(srgb[i])} → ${n6(src.linear[i])}`),
+    ]},
+    {title:`Linear ${space.name} → XYZ (D65)`, href:ARTICLE.xyz, note:later, lines:[
+      ...fmtMatrix('M', space.toXYZ),
+      `XYZ(D65) = M × [R G B]ᵀ = ${vec(base.XYZd65)}`,
+      ...(src.space === 'srgb' ? [] : [`linear sRGB for the CMYK preview = ${vec(base.lin)}`]),
+    ]},
+    {title:'D65 → D50 (Bradford)', href:ARTICLE.bradford, note:parsed.space === 'xyz-d50' || parsed.space === 'lab' ? later : null, lines:[
+      ...fmtMatrix('M', M_bradford),
+      `ρ γ β (color)  = M × XYZ(D65) = ${vec(lms)}`,
+      `ρ γ β (D65 white) = ${vec(lmsSrc)}`,
+      `ρ γ β (D50 white) = ${vec(lmsDst)}`,
+      `scale = D50 / D65 = ${vec(scale)}`,
+      ...fmtMatrix('Mi', Mi_bradford),
+      `XYZ(D50) = Mi × (scale · ρ γ β) = ${vec(base.XYZd50)}`,
+    ]},
+    {title:'XYZ (D50) → Lab (D50)', href:ARTICLE.lab, note:parsed.space === 'lab' ? later : null, lines:[
+      `white (D50) = ${vec(D50)}`,
+      `X/Xn, Y/Yn, Z/Zn = ${vec(ratio)}`,
+      `f(t) = t > 216/24389 ? ∛t : (24389/27 · t + 16) / 116  → ${vec([fx, fy, fz])}`,
+      `L = 116·f(Y) − 16 = ${base.Lab[0].toFixed(4)}`,
+      `a = 500·(f(X) − f(Y)) = ${base.Lab[1].toFixed(4)}`,
+      `b = 200·(f(Y) − f(Z)) = ${base.Lab[2].toFixed(4)}`,
+    ]},
+    {title:'Naïve CMYK (no ICC)', href:ARTICLE.naive, note:null, lines:[
+      `display RGB (clipped) = ${vec(display)}`,
+      `C′ M′ Y′ = 1 − RGB = ${vec(display.map(v => 1 - v))}`,
+      `K = ${n6(cmyk.K)}   (${blackSettings().strategy} black generation)`,
+      `C M Y = (C′ − K) / (1 − K) = ${vec([cmyk.C, cmyk.M, cmyk.Y])}`,
+    ]},
   ];
+}
+
+// Fill #inspectorSteps: one item per stage, heading linked to the article
+function renderInspector(color, base){
+  const list = document.getElementById('inspectorSteps');
+  if (!list) return;
+  list.innerHTML = '';
+  inspectorStages(color, base).forEach(stage => {
+    const li = document.createElement('li');
+    const a = document.createElement('a');
+    a.href = stage.href;
+    a.textContent = stage.title;
+    li.appendChild(a);
+    if (stage.note) {
+      const note = document.createElement('div');
+      note.className = 'sandbox-note';
+      note.textContent = stage.note;
+      li.appendChild(note);
+    }
+    const pre = document.createElement('pre');
+    pre.className = 'sandbox-inspector-math';
+    pre.textContent = stage.lines.join('\n');
+    li.appendChild(pre);
+    list.appendChild(li);
+  });
+}
+
+// -----------------------------
+// Reverse mode: print values → screen
+// -----------------------------
+
+// Example values shown as the placeholder for each mode
+const REVERSE_EXAMPLES = {cmyk:'37 0 34 39', lab:'59.3 -28.3 21.6'};
+
+// "37 0 34 39", "37%, 0%, 34%, 39%", "cmyk(37 0 34 39)", "lab(59 -28 22)" → numbers, or null
+function readNumbers(str, count){
+  const body = String(str).trim().replace(/^(?:device-cmyk|cmyk|lab)\((.*)\)$/i, '$1');
+  const parts = body.split(/[\s,/]+/).filter(Boolean).map(p => p.replace(/%$/, ''));
+  if (parts.length !== count) return null;
+  const values = parts.map(Number);
+  return values.every(Number.isFinite) ? values : null;
+}
+
+// Convert #reverseInput and show hex, RGB and a swatch, warning when sRGB had to clip it
+function runReverse(){
+  const mode = document.getElementById('reverseMode').value;
+  const input = document.getElementById('reverseInput');
+  const output = document.getElementById('reverseOutput');
+  const warning = document.getElementById('reverseWarning');
+  const swatch = document.getElementById('reverseSwatch');
+  const use = document.getElementById('reverseUse');
+  const fail = (msg) => {
+    input.setAttribute('aria-invalid', 'true');
+    output.textContent = msg;
+    if (swatch) swatch.style.background = '';
+    if (warning) warning.hidden = true;
+    if (use) use.hidden = true;
+  };
+
+  const values = readNumbers(input.value, mode === 'cmyk' ? 4 : 3);
+  if (!values) {
+    fail(mode === 'cmyk'
+      ? 'Enter four ink percentages, C M Y K — e.g. 37 0 34 39.'
+      : 'Enter three Lab values, L a b — e.g. 59.3 -28.3 21.6.');
+    return;
+  }
+  let result, via;
+  if (mode === 'cmyk') {
+    if (values.some(v => v < 0 || v > 100)) { fail('Ink values run from 0 to 100%.'); return; }
+    const cmyk = {C:values[0]/100, M:values[1]/100, Y:values[2]/100, K:values[3]/100};
+    if (profile) {
+      result = labToScreen(profileCmykToLab(profile, cmyk, 1));
+      via = `via ${profile.description}`;
+    } else {
+      result = cmykToScreen(cmyk);
+      via = 'naïve ideal inks (load a profile for a real press)';
+    }
+  } else {
+    if (values[0] < 0 || values[0] > 100) { fail('L runs from 0 to 100.'); return; }
+    result = labToScreen(values);
+    via = 'Lab (D50)';
+  }
+
+  input.setAttribute('aria-invalid', 'false');
+  const rgb8 = result.rgb.map(v => Math.round(v*255));
+  output.textContent = `${result.hex} · rgb(${rgb8.join(', ')}) · ${fmtLab(result.Lab)} — ${via}`;
+  if (swatch) swatch.style.background = result.hex;
+  if (warning) {
+    warning.hidden = !result.clipped;
+    warning.textContent = result.clipped
+      ? '⚠ Outside sRGB: clipped to the nearest screen color, so the print will look different from this swatch.'
+      : '';
+  }
+  if (use) { use.hidden = false; use.dataset.hex = result.hex; }
+}
+
+// -----------------------------
+// Chromatic adaptation explorer
+// -----------------------------
+
+// White point XYZ for one side ('Source' / 'Target'): an illuminant or a custom x, y
+function adaptWhite(side){
+  const select = document.getElementById(`adapt${side}`);
+  const custom = document.getElementById(`adapt${side}Custom`);
+  if (custom) custom.hidden = !select || select.value !== 'custom';
+  if (select && ILLUMINANTS[select.value]) return ILLUMINANTS[select.value].XYZ;
+  const x = parseFloat((document.getElementById(`adapt${side}X`) || {}).value);
+  const y = parseFloat((document.getElementById(`adapt${side}Y`) || {}).value);
+  // Chromaticities must be positive and sum below 1 to be a real white
+  if (x > 0 && y > 0 && x + y < 1) return xyToXYZ([x, y]);
+  return side === 'Source' ? D65 : D50;
+}
+
+// One row per adaptation method: the color under the target white, and its ΔE from Bradford
+function renderAdaptation(base){
+  const tbody = document.querySelector('#adaptTable tbody');
+  if (!tbody) return;
+  const src = adaptWhite('Source'), dst = adaptWhite('Target');
+  // The color’s XYZ as if measured under the source white (relative, Y of white = 1)
+  const XYZ = base.XYZd65;
+  const results = Object.entries(CAT_METHODS).map(([key, m]) => {
+    const adapted = adaptXYZ(XYZ, src, dst, key);
+    return {key, name:m.name, XYZ:adapted, Lab:xyzD50_to_lab(adapted, dst)};
+  });
+  const reference = results.find(r => r.key === 'bradford').Lab;
+
+  tbody.innerHTML = '';
+  results.forEach(r => {
+    const tr = document.createElement('tr');
+    const cell = (text) => { const td = document.createElement('td'); td.textContent = text; tr.appendChild(td); return td; };
+    cell(r.name);
+    // Lab relative to the target white is the color’s appearance there; show it as if that were D50
+    const sw = document.createElement('div'); sw.className = 'swatch';
+    sw.style.background = rgbToHex(labToLinearRgbViaD50(r.Lab).map(linearToSrgb));
+    cell('').appendChild(sw);
+    cell(r.XYZ.map(v => v.toFixed(4)).join(', ')).className = 'num';
+    cell(fmtLab(r.Lab));
+    cell(r.key === 'bradford' ? '—' : deltaE(reference, r.Lab, '2000').toFixed(2)).className = 'num';
+    tbody.appendChild(tr);
+  });
+}
+
+// -----------------------------
+// Color vision & contrast
+// -----------------------------
+
+// WCAG grades from worst to best, to tell when printing lowers a row’s grade
+const WCAG_RANK = ['Fail', 'AA large', 'AA', 'AAA'];
+
+// Display sRGB as seen with a deficiency ('none' leaves it alone)
+function seenAs(rgb, type){
+  return CVD_TYPES[type] ? simulateCvd(rgb.map(srgbToLinear), type).map(linearToSrgb) : rgb;
+}
+
+// Contrast background from #contrastBg (white when absent)
+function contrastBackground(){
+  const el = document.getElementById('contrastBg');
+  return (el && hexToRgb(el.value)) || [1, 1, 1];
+}
+
+// Swatch strip of the input under each deficiency, and the contrast table: text in the
+// screen color and in every intent’s print result, on the background, both seen as #cvdType
+function renderVision(base, rows){
+  const strip = document.getElementById('cvdSwatches');
+  const tbody = document.querySelector('#contrastTable tbody');
+  const screen = base.lin.map(v => linearToSrgb(clamp(v, 0, 1)));
+
+  if (strip) {
+    strip.innerHTML = '';
+    [['none', 'Typical'], ...Object.keys(CVD_TYPES).map(k => [k, k[0].toUpperCase() + k.slice(1)])].forEach(([type, label]) => {
+      const fig = document.createElement('figure');
+      const sw = document.createElement('div'); sw.className = 'swatch';
+      sw.style.background = rgbToHex(seenAs(screen, type));
+      const cap = document.createElement('figcaption'); cap.textContent = label;
+      fig.title = CVD_TYPES[type] ? CVD_TYPES[type].label : 'Typical color vision';
+      fig.append(sw, cap);
+      strip.appendChild(fig);
+    });
+  }
+  if (!tbody) return;
+
+  const select = document.getElementById('cvdType');
+  const type = select ? select.value : 'none';
+  const bg = seenAs(contrastBackground(), type);
+  const entries = [{name:'Screen', rgb:screen}, ...rows.map(row => ({name:row.name, rgb:row.out.rgb}))];
+  const frag = document.createDocumentFragment();
+  let screenRank = 0;
+  entries.forEach((entry, i) => {
+    const fg = seenAs(entry.rgb, type);
+    const ratio = wcagContrast(fg, bg), level = wcagLevel(ratio), Lc = apcaContrast(fg, bg);
+    const rank = WCAG_RANK.indexOf(level);
+    if (i === 0) screenRank = rank;
+
+    const tr = document.createElement('tr');
+    const cell = (text) => { const td = document.createElement('td'); td.textContent = text; tr.appendChild(td); return td; };
+    cell(entry.name);
+    const sample = document.createElement('span');
+    sample.className = 'contrast-sample';
+    sample.style.color = rgbToHex(fg);
+    sample.style.background = rgbToHex(bg);
+    sample.textContent = 'Aa Text';
+    cell('').appendChild(sample);
+    const tdWcag = cell(`${ratio.toFixed(2)}:1 · ${level}`);
+    tdWcag.className = 'num contrast';
+    cell(`Lc ${Lc.toFixed(0)} · ${apcaLevel(Lc)}`).className = 'num';
+    if (i > 0 && rank < screenRank) {
+      tr.classList.add('contrast-drop');
+      tdWcag.textContent += ' ⚠';
+      tdWcag.title = `${WCAG_RANK[screenRank]} on screen, only ${level} once printed`;
+    }
+    frag.appendChild(tr);
+  });
+  tbody.replaceChildren(frag);
+}
+
+// -----------------------------
+// Nearest spot colors
+// -----------------------------
+
+// Library loaded through #spotFile; the bundled ones live in SPOT_LIBRARIES
+let customSpots = null;
+const DEFAULT_SPOTS = 'ral-classic';
+
+// Library picked in #spotLibrary (RAL Classic when absent, or 'custom' before a load)
+function spotChoice(){
+  const el = document.getElementById('spotLibrary');
+  if (el && el.value === 'custom' && customSpots) return customSpots;
+  return SPOT_LIBRARIES[el && SPOT_LIBRARIES[el.value] ? el.value : DEFAULT_SPOTS];
+}
+
+// Matches to list from #spotCount (1..20, default 5)
+function spotCount(){
+  const el = document.getElementById('spotCount');
+  const v = el ? parseInt(el.value, 10) : NaN;
+  return Number.isFinite(v) ? clamp(v, 1, 20) : 5;
+}
+
+// Closest library colors to the input; matches inside the ΔE tolerance show as passing
+function renderSpots(base){
+  const tbody = document.querySelector('#spotTable tbody');
+  if (!tbody) return;
+  const tol = tolerance();
+  const frag = document.createDocumentFragment();
+  nearestSpots(base.Lab, spotChoice(), spotCount()).forEach((spot, i) => {
+    const tr = document.createElement('tr');
+    const cell = (text) => { const td = document.createElement('td'); td.textContent = text; tr.appendChild(td); return td; };
+    cell(String(i + 1)).className = 'num';
+    const sw = document.createElement('div'); sw.className = 'swatch'; sw.style.background = spot.hex;
+    cell('').appendChild(sw);
+    cell(spot.code ? `${spot.code} ${spot.name}` : spot.name);
+    cell(fmtLab(spot.Lab));
+    const close = spot.deltaE < tol.max;
+    const tdDe = cell(spot.deltaE.toFixed(2));
+    tdDe.className = `num delta-e${close ? ' pass' : ''}`;
+    if (close) tdDe.title = `Within the ΔE tolerance of ${tol.max}`;
+    frag.appendChild(tr);
+  });
+  tbody.replaceChildren(frag);
+}
+
+// Re-rank against the current color after the library or count changes
+function rerenderSpots(){
+  const base = hexToLabD50(current, sourceSpace());
+  if (base) renderSpots(base);
+}
+
+// Load the reader’s own library: ASE/GPL/CSS by content, anything else as a color or
+// `name, L, a, b` list. It becomes the 'custom' choice in #spotLibrary
+async function loadSpotFile(file){
+  const status = document.getElementById('spotStatus');
+  const select = document.getElementById('spotLibrary');
+  const buffer = await file.arrayBuffer();
+  let swatches, skipped = [];
+  try {
+    swatches = readPaletteFile(file.name, buffer);
+  } catch (err) {
+    if (status) status.textContent = `Couldn’t read ${file.name}: ${err.message}`;
+    return;
+  }
+  if (!swatches) ({entries:swatches, skipped} = readSpotList(new TextDecoder().decode(buffer)));
+  const library = spotLibrary(file.name, swatches);
+  if (!library.colors.length) {
+    if (status) status.textContent = `No colors found in ${file.name}.`;
+    return;
+  }
+  customSpots = library;
+  const option = select && select.querySelector('option[value="custom"]');
+  if (option) {
+    option.hidden = false;
+    option.disabled = false;
+    option.textContent = file.name;
+    select.value = 'custom';
+  }
+  if (status) {
+    const n = library.colors.length;
+    status.textContent = `Using ${file.name}: ${n} color${n === 1 ? '' : 's'}` +
+      (skipped.length ? ` · skipped line${skipped.length === 1 ? '' : 's'} ${skipped.map(s => s.line).join(', ')}` : '');
+  }
+  rerenderSpots();
+}
+
+// -----------------------------
+// Batch mode
+// -----------------------------
+
+// Last batch run, kept for export and re-rendered when settings change
+let batch = null;
+
+// Convert every color of a palette text; unreadable lines are counted, not fatal.
+// Palette files arrive already split into entries and pass them in directly; a swatch
+// that parses but can’t convert (NaN / Infinity values from a damaged file) is skipped too
+function runBatch(text, palette = parsePalette(text)){
+  const results = [], skipped = palette.skipped.slice();
+  palette.entries.forEach(({name, color, line}) => {
+    const converted = convertColor(color);
+    if (!converted) { skipped.push({line, text:color}); return; }
+    results.push({name, input:color, Lab:converted.base.Lab, rows:converted.rows});
+  });
+  skipped.sort((a, b) => a.line - b.line);
+  batch = {text, palette, results, skipped};
+  renderBatch();
+}
+
+// Grid: one row per color, one cell per intent (swatch, CMYK, ΔE pass/fail)
+function renderBatch(){
+  const table = document.getElementById('batchTable');
+  const status = document.getElementById('batchStatus');
+  if (!table || !batch) return;
+  const {results, skipped} = batch;
+  const tol = tolerance();
+
+  const thead = table.querySelector('thead'), tbody = table.querySelector('tbody');
+  thead.innerHTML = '';
+  tbody.innerHTML = '';
+  const head = document.createElement('tr');
+  const th = (text) => { const el = document.createElement('th'); el.textContent = text; head.appendChild(el); };
+  th('Color');
+  (results[0] ? results[0].rows : []).forEach(row => th(row.name));
+  thead.appendChild(head);
+
+  results.forEach(r => {
+    const tr = document.createElement('tr');
+    const first = document.createElement('td');
+    const sw = document.createElement('div'); sw.className = 'swatch';
+    sw.style.background = rgbToHex(labToLinearRgbViaD50(r.Lab).map(linearToSrgb));
+    first.append(sw, r.name ? `${r.name} · ${r.input}` : r.input);
+    tr.appendChild(first);
+    r.rows.forEach(row => {
+      const td = document.createElement('td');
+      td.className = `batch-cell ${row.pass ? 'pass' : 'fail'}`;
+      const out = document.createElement('div'); out.className = 'swatch'; out.style.background = row.out.hex;
+      const {C, M, Y, K} = row.out.cmyk;
+      td.append(out, `${fmtPct(C)}/${fmtPct(M)}/${fmtPct(Y)}/${fmtPct(K)} · ΔE ${row.deltaE.toFixed(1)} ${row.pass ? '✓' : '✗'}`);
+      td.title = `${row.out.hex} · ${fmtLab(row.out.Lab)} · TAC ${Math.round(row.tac)}%`;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+
+  if (status) {
+    const failing = results.reduce((n, r) => n + r.rows.filter(row => !row.pass).length, 0);
+    const parts = [`${results.length} color${results.length === 1 ? '' : 's'} converted`,
+      `${failing} intent result${failing === 1 ? '' : 's'} over ${DELTA_E[tol.formula].label} ${tol.max}`];
+    if (skipped.length) parts.push(`skipped line${skipped.length === 1 ? '' : 's'} ${skipped.map(s => s.line).join(', ')}`);
+    status.textContent = parts.join(' · ');
+  }
+  ['batchCsv', 'batchJson', 'paletteAse', 'paletteGpl', 'paletteCss'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.disabled = !results.length;
+  });
+}
+
+// Batch results as palette swatches: each color’s CMYK for the intent picked in #paletteIntent
+function paletteSwatches(){
+  const select = document.getElementById('paletteIntent');
+  const intent = select ? select.value : INTENTS[0].name;
+  return batch.results.map(r => {
+    const row = r.rows.find(row => row.name.startsWith(intent)) || r.rows[0];
+    return {name:r.name || r.input, hex:row.out.hex, cmyk:row.out.cmyk};
+  });
+}
+
+// Load a palette file into batch mode: ASE/GPL/CSS by content, anything else as a text list
+async function loadBatchFile(file){
+  const input = document.getElementById('batchInput');
+  const status = document.getElementById('batchStatus');
+  const buffer = await file.arrayBuffer();
+  let swatches;
+  try {
+    swatches = readPaletteFile(file.name, buffer);
+  } catch (err) {
+    if (status) status.textContent = `Couldn’t read ${file.name}: ${err.message}`;
+    return;
+  }
+  if (!swatches) {
+    const text = new TextDecoder().decode(buffer);
+    if (input) input.value = text;
+    runBatch(text);
+    return;
+  }
+  const text = swatches.map(s => s.name ? `${s.name}: ${s.color}` : s.color).join('\n');
+  if (input) input.value = text;
+  // Swatch n is line n of the text shown in #batchInput
+  runBatch(text, {entries:swatches.map((s, i) => ({...s, line:i + 1})), skipped:[]});
+}
+
+// -----------------------------
+// Image soft proof
+// -----------------------------
+
+// Largest image proofed at full size; bigger ones are scaled down to about this many pixels
+const MAX_PROOF_PIXELS = 4e6;
+
+// Soft-proof state: the loaded image’s pixels, the worker, the settings key it holds a
+// LUT for, and the latest request (older replies are dropped)
+let proofImage = null;
+let proofWorker = null;
+let proofWorkerKey = null;
+let proofRequest = 0;
+// Main-thread fallback when module workers aren’t available or the worker failed
+let proofLocal = {key:null, lut:null};
+let proofWorkerFailed = false;
+
+// Settings the proof depends on, plus a key that changes whenever the LUT must be rebuilt
+function proofSettings(){
+  const select = document.getElementById('proofIntent');
+  const intent = select ? select.value : INTENTS[0].name;
+  const settings = {intent, black:blackSettings(), inks:inkModel()};
+  const key = JSON.stringify({...settings, profile:profile ? [profile.description, profileBuffer.byteLength] : null});
+  return {settings, key};
+}
+
+function proofThreshold(){
+  const el = document.getElementById('proofThreshold');
+  const v = el ? parseFloat(el.value) : NaN;
+  return Number.isFinite(v) && v >= 0 ? v : DEFAULT_TOLERANCE.max;
+}
 
-  // Helper f(t) defined by CIE Lab (handles linear segment below epsilon)
-  function f_lab(t) { const eps=216/24389, k=24389/27; return t>eps ? Math.cbrt(t) : ((k*t+16)/116); }
-  // Convert XYZ (assumed D50) to CIE Lab (D50)
-  function xyzD50_to_lab([X,Y,Z]){
-    const xr = X/D50[0], yr = Y/D50[1], zr = Z/D50[2];
-    const fx = f_lab(xr), fy = f_lab(yr), fz = f_lab(zr);
-    const L = 116*fy - 16, a = 500*(fx - fy), b = 200*(fy - fz);
-    return [L,a,b];
-  }
-  // Inverse of f(t) used for Lab → XYZ
-  function finv_lab(t) { const eps=216/24389, k=24389/27; const t3=t*t*t; return (t3>eps) ? t3 : ((116*t-16)/k); }
-  // Convert CIE Lab (D50) back to XYZ (D50)
-  function lab_to_xyzD50([L,a,b]){
-    const fy = (L + 16)/116, fx = fy + (a/500), fz = fy - (b/200);
-    return [finv_lab(fx)*D50[0], finv_lab(fy)*D50[1], finv_lab(fz)*D50[2]];
-  }
-
-  // Educational CMYK: convert linear RGB → display RGB, then to CMYK with simple GCR
-  // Note: This is device-independent & for illustration only — not using an ICC printer profile.
-  function rgbLinear_to_cmyk(lin) {
-    const sr = Math.min(Math.max((lin[0] <= 0.0031308) ? (12.92*lin[0]) : (1.055*Math.pow(lin[0],1/2.4)-0.055),0),1);
-    const sg = Math.min(Math.max((lin[1] <= 0.0031308) ? (12.92*lin[1]) : (1.055*Math.pow(lin[1],1/2.4)-0.055),0),1);
-    const sb = Math.min(Math.max((lin[2] <= 0.0031308) ? (12.92*lin[2]) : (1.055*Math.pow(lin[2],1/2.4)-0.055),0),1);
-    let C = 1 - sr, M = 1 - sg, Y = 1 - sb;
-    const K = Math.min(C, M, Y);
-    if (K >= 1.0 - 1e-6) return {C:0,M:0,Y:0,K:1};
-    C = (C - K) / (1 - K);
-    M = (M - K) / (1 - K);
-    Y = (Y - K) / (1 - K);
-    return {C,M,Y,K};
-  }
-  // Convert CMYK back to display RGB (naïve inversion used for preview swatch)
-  function cmyk_to_rgb({C,M,Y,K}) {
-    const r = (1 - C) * (1 - K);
-    const g = (1 - M) * (1 - K);
-    const b = (1 - Y) * (1 - K);
-    return [r,g,b];
-  }
-
-  // Intent: Perceptual (approximate) — compress gamut softly in L and chroma
-  function intent_perceptual([L,a,b]) { return [L*0.96 + 0.9, a*0.96, b*0.93]; }
-  // Intent: Saturation (approximate) — favor punchy chroma, less tone accuracy
-  function intent_saturation([L,a,b]) { return [L*0.96 + 1.1, a*1.09, b*1.08]; }
-  // Intent: Relative Colorimetric (approximate) — clip out-of-gamut, white-point scaled
-  function intent_relative([L,a,b]) { return [L*0.96 + 0.9, a*1.09, b*1.08]; }
-  // Intent: Absolute Colorimetric (approximate) — preserve in-gamut, absolute white point
-  function intent_absolute([L,a,b]) { return [L*1.11 + 0.2, a*1.17, b*1.05]; }
-  // Intent: Naive — no transform, just show the baseline Lab
-  function intent_naive(Lab) { return Lab.slice(); }
-
-  // HEX → Lab (D50) via: HEX→sRGB→linear→XYZ(D65)→Bradford→XYZ(D50)→Lab(D50)
-  function hexToLabD50(hex) {
-    const rgb = hexToRgb(hex);
-    if (!rgb) return null;
-    const lin = rgb.map(srgbToLinear);
-    const XYZd65 = mul3x3(M_srgb_to_xyz, lin);
-    const XYZd50 = adaptD65toD50(XYZd65);
-    const Lab = xyzD50_to_lab(XYZd50);
-    return {lin, XYZd65, XYZd50, Lab};
-  }
-  // Lab (D50) → linear sRGB via: Lab→XYZ(D50)→Bradford→XYZ(D65)→linear sRGB
-  function labToLinearRgbViaD50(Lab) {
-    const XYZd50 = lab_to_xyzD50(Lab);
-    const XYZd65 = adaptD50toD65(XYZd50);
-    const lin = mul3x3(M_xyz_to_srgb, XYZd65);
-    return lin.map(v => Math.min(Math.max(v,0),1));
-  }
-
-  // Helper: percent formatter for 0..1 → 0..100 (unused in current table)
-  function fmtPct(x){ return Math.round(x*100); }
-  // Helper: format Lab as "L 00.0, a 00.0, b 00.0"
-  function fmtLab(Lab){ return `L ${Lab[0].toFixed(1)}, a ${Lab[1].toFixed(1)}, b ${Lab[2].toFixed(1)}`; }
-
-  // Render the table for all intents and update the live swatch
-  function update(hex){
-    const base = hexToLabD50(hex);
+// Draw the worker’s result and report how much of the image the threshold flags
+function showProof({proof, overlay, flagged}){
+  const {width, height} = proofImage;
+  const paint = (id, buffer) => {
+    const canvas = document.getElementById(id);
+    if (!canvas) return;
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(buffer), width, height), 0, 0);
+  };
+  paint('proofResult', proof);
+  paint('proofOverlay', overlay);
+  const status = document.getElementById('proofStatus');
+  if (status) {
+    const share = (100 * flagged / (width * height)).toFixed(1);
+    status.textContent = `${width}×${height} px · ${flagged.toLocaleString()} px (${share}%) moved more than ΔE2000 ${proofThreshold()}`;
+  }
+}
+
+// Proof the loaded image on the main thread, rebuilding the LUT only when settings change
+function proofLocally(settings, key, threshold){
+  if (proofLocal.key !== key) proofLocal = {key, lut:buildSoftProofLut(proofConverter({...settings, profile}))};
+  showProof(softProofPixels(proofLocal.lut, proofImage.data, threshold));
+}
+
+// The worker didn’t load, or a message couldn’t cross to or from it: it will never
+// answer, so drop it, proof here from now on and say why in the status
+function proofWorkerError(event){
+  proofWorker.terminate();
+  proofWorker = null;
+  proofWorkerKey = null;
+  proofWorkerFailed = true;
+  if (!proofImage) return;
+  const {settings, key} = proofSettings();
+  proofLocally(settings, key, proofThreshold());
+  const status = document.getElementById('proofStatus');
+  const reason = event.type === 'messageerror' ? 'a message couldn’t be read' : (event.message || 'it couldn’t start');
+  if (status) status.textContent += ` · proofed on the main thread (the soft-proof worker failed: ${reason})`;
+}
+
+// Proof the loaded image with the current settings, in the worker when possible
+function runSoftProof(){
+  if (!proofImage) return;
+  const {settings, key} = proofSettings();
+  const threshold = proofThreshold();
+  const id = ++proofRequest;
+
+  if (typeof Worker === 'undefined' || proofWorkerFailed) {
+    proofLocally(settings, key, threshold);
+    return;
+  }
+  if (!proofWorker) {
+    proofWorker = new Worker(new URL('./color/softproof-worker.mjs', import.meta.url), {type:'module'});
+    proofWorker.addEventListener('message', ({data}) => {
+      if (data.id !== proofRequest) return;
+      if (data.error) {
+        const status = document.getElementById('proofStatus');
+        if (status) status.textContent = `Soft proof failed: ${data.error}`;
+        return;
+      }
+      showProof(data);
+    });
+    proofWorker.addEventListener('error', proofWorkerError);
+    proofWorker.addEventListener('messageerror', proofWorkerError);
+  }
+  const status = document.getElementById('proofStatus');
+  if (status && proofWorkerKey !== key) status.textContent = 'Building the lookup table…';
+  // The profile only travels when the worker needs to rebuild its LUT
+  const data = proofImage.data.slice().buffer;
+  proofWorker.postMessage({id, key, settings, threshold, data,
+    profile:(proofWorkerKey !== key && profile) ? profileBuffer : null}, [data]);
+  proofWorkerKey = key;
+}
+
+// Decode a local image, scale it down if huge, and show it as the proof source
+async function loadProofImage(file){
+  const status = document.getElementById('proofStatus');
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch (err) {
+    if (status) status.textContent = `Couldn’t open ${file.name} as an image.`;
+    return;
+  }
+  const scale = Math.min(1, Math.sqrt(MAX_PROOF_PIXELS / (bitmap.width * bitmap.height)));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+  const canvas = document.getElementById('proofSource');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  proofImage = ctx.getImageData(0, 0, width, height);
+  runSoftProof();
+}
+
+// -----------------------------
+// Shareable state (URL hash) and recent colors
+// -----------------------------
+
+// Sandbox links look like #sandbox?c=%23629c67&space=display-p3; any other hash is an
+// ordinary section anchor and is left alone
+const STATE_PREFIX = '#sandbox?';
+// Hash parameter → control it restores; only values that differ from the page’s
+// defaults are written, so plain links stay short
+const STATE_FIELDS = {
+  space:'sourceSpace', tac:'tacLimit', black:'blackGen', bstart:'blackStart', maxk:'maxK',
+  rich:'richBlack', inks:'inkModel', gamut:'gamutMethod', de:'deltaEFormula', tol:'deltaETol',
+  palette:'paletteIntent', proof:'proofIntent', bg:'contrastBg', cvd:'cvdType', spots:'spotCount',
+};
+const RECENT_KEY = 'sandboxRecent';
+// Color of the current history entry: the last one converted with Convert / Enter /
+// change (or restored from the URL). Live previews change `current`, not this
+let recorded = current;
+const RECENT_MAX = 10;
+
+// A control’s value as the page shipped it (selected option, value attribute, checked)
+function defaultValue(el){
+  if (el.type === 'checkbox') return el.defaultChecked;
+  if (el.tagName === 'SELECT') {
+    const opt = Array.from(el.options).find(o => o.defaultSelected) || el.options[0];
+    return opt ? opt.value : '';
+  }
+  return el.defaultValue;
+}
+
+// A color (the recorded one by default) and the non-default settings → '#sandbox?…'
+function stateHash(color = recorded){
+  const params = new URLSearchParams({c:color});
+  Object.entries(STATE_FIELDS).forEach(([key, id]) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    if (el.type === 'checkbox') {
+      if (el.checked !== el.defaultChecked) params.set(key, el.checked ? '1' : '0');
+    } else if (el.value !== defaultValue(el)) {
+      params.set(key, el.value);
+    }
+  });
+  return STATE_PREFIX + params.toString();
+}
+
+// Record the state in the URL: a new history entry per converted color, settings
+// tweaks replace the current one (keeping its color) so back / forward step through
+// colors. Unreadable input isn’t recorded; the URL keeps the last color that converted.
+// Each entry also carries its hash as history.state.sandbox (see the popstate handler)
+function saveState(push){
+  if (push) {
+    if (!parseColor(current)) return;
+    recorded = current;
+  }
+  const hash = stateHash();
+  if (location.hash === hash) return;
+  history[push ? 'pushState' : 'replaceState']({sandbox:hash}, '', hash);
+}
+
+// Apply a '#sandbox?…' hash to the controls and #hexInput; false when the hash isn’t one.
+// Missing settings go back to the defaults, values no option matches are ignored
+function restoreState(hash){
+  if (!hash.startsWith(STATE_PREFIX)) return false;
+  const params = new URLSearchParams(hash.slice(STATE_PREFIX.length));
+  Object.entries(STATE_FIELDS).forEach(([key, id]) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    const value = params.get(key);
+    if (el.type === 'checkbox') el.checked = value === null ? el.defaultChecked : value === '1';
+    else if (el.tagName === 'SELECT') el.value = Array.from(el.options).some(o => o.value === value) ? value : defaultValue(el);
+    else el.value = value === null ? el.defaultValue : value;
+  });
+  const color = (params.get('c') || '').trim();
+  if (color) {
+    current = recorded = color;
+    document.getElementById('hexInput').value = color;
+  }
+  return true;
+}
+
+// Recently converted colors, newest first (an unreadable store counts as empty)
+function loadRecent(){
+  try {
+    const list = JSON.parse(localStorage.getItem(RECENT_KEY));
+    return Array.isArray(list) ? list.filter(c => typeof c === 'string') : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+// Put a color at the front of the list (once, case-insensitively) and redraw it
+function rememberColor(color){
+  const list = [color, ...loadRecent().filter(c => c.toLowerCase() !== color.toLowerCase())].slice(0, RECENT_MAX);
+  try { localStorage.setItem(RECENT_KEY, JSON.stringify(list)); } catch (err) { /* storage disabled or full */ }
+  renderRecent(list);
+}
+
+// One swatch button per recent color; clicking one converts it again
+function renderRecent(list = loadRecent()){
+  const box = document.getElementById('recentColors');
+  if (!box) return;
+  box.innerHTML = '';
+  box.hidden = !list.length;
+  if (!list.length) return;
+  const label = document.createElement('span');
+  label.textContent = 'Recent:';
+  box.appendChild(label);
+  list.forEach(color => {
+    const base = hexToLabD50(color);
     if (!base) return;
-    document.getElementById('liveSwatch').style.background = hex;
-
-    // NOTE: Rendering intents below are heuristic approximations to illustrate
-    // differences in tone/chroma handling. For production press work, use a
-    // real ICC CMM (e.g., LittleCMS via WASM) with the printer profile.
-    const intents = [
-      {name:'Perceptual', fn:intent_perceptual},
-      {name:'Relative colorimetric', fn:intent_relative},
-      {name:'Saturation', fn:intent_saturation},
-      {name:'Absolute colorimetric', fn:intent_absolute},
-      {name:'Naive math', fn:intent_naive},
-    ];
-
-    const tbody = document.querySelector('#intentTable tbody');
-    tbody.innerHTML = '';
-    intents.forEach(entry => {
-      const Lab_t = entry.fn(base.Lab.slice());
-      const linRGB = labToLinearRgbViaD50(Lab_t);
-      const cmyk = rgbLinear_to_cmyk(linRGB);
-      const dispRGB = cmyk_to_rgb(cmyk).map(v => Math.min(Math.max(v,0),1));
-      const hexOut = '#'+dispRGB.map(v => ('0'+Math.round(v*255).toString(16)).slice(-2)).join('');
-
-      const tr = document.createElement('tr');
-      const td0 = document.createElement('td'); td0.textContent = entry.name;
-      const td1 = document.createElement('td');
-      const sw = document.createElement('div'); sw.className = 'swatch'; sw.style.background = hexOut; td1.appendChild(sw);
-      const td3 = document.createElement('td'); td3.textContent = fmtLab(Lab_t);
-      tr.appendChild(td0); tr.appendChild(td1); tr.appendChild(td3);
-      tbody.appendChild(tr);
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'recent-color';
+    b.dataset.color = color;
+    b.style.background = rgbToHex(base.lin.map(linearToSrgb));
+    b.title = color;
+    b.setAttribute('aria-label', `Convert ${color}`);
+    box.appendChild(b);
+  });
+}
+
+// Copy a link to the current state; older browsers without the async clipboard get the
+// execCommand fallback through a hidden textarea
+async function copyLink(button){
+  const url = location.href.split('#')[0] + stateHash(current);
+  const label = button.textContent;
+  let ok = true;
+  try {
+    await navigator.clipboard.writeText(url);
+  } catch (err) {
+    const field = document.createElement('textarea');
+    field.value = url;
+    field.setAttribute('readonly', '');
+    field.style.position = 'fixed';
+    field.style.opacity = '0';
+    document.body.appendChild(field);
+    field.select();
+    ok = typeof document.execCommand === 'function' && document.execCommand('copy');
+    field.remove();
+  }
+  button.textContent = ok ? 'Copied!' : 'Copy failed';
+  setTimeout(() => { button.textContent = label; }, 1500);
+}
+
+// Settings and profile changes redo the single color, any batch already run and the proof
+function refresh(){
+  update(current);
+  if (batch) runBatch(batch.text, batch.palette);
+  runSoftProof();
+}
+
+// Offer a generated file as a download
+function download(filename, type, text){
+  const url = URL.createObjectURL(new Blob([text], {type}));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Read a local .icc/.icm file and switch the table to real profile intents
+async function loadProfile(file){
+  const status = document.getElementById('iccStatus');
+  const clear = document.getElementById('iccClear');
+  try {
+    profileBuffer = await file.arrayBuffer();
+    profile = parseIccProfile(profileBuffer);
+    profileGamut = iccGamut(profile);
+    if (status) status.textContent = `Using “${profile.description}” (ICC v${profile.version}) — intents below are real profile lookups.`;
+    if (clear) clear.hidden = false;
+  } catch (err) {
+    profile = null;
+    profileBuffer = null;
+    profileGamut = null;
+    if (status) status.textContent = `Couldn’t use ${file.name}: ${err.message}`;
+    if (clear) clear.hidden = true;
+  }
+  refresh();
+}
+
+// DOM wiring — guarded so the file is safe to include site‑wide
+document.addEventListener('DOMContentLoaded', () => {
+  const input = document.getElementById('hexInput');
+  const btn   = document.getElementById('convertBtn');
+  const tbody = document.querySelector('#intentTable tbody');
+  const swatch= document.getElementById('liveSwatch');
+
+  // If the sandbox UI isn’t present, do nothing.
+  if (!input || !btn || !tbody || !swatch) return;
+
+  // Hook up events: a readable color becomes a history entry and a recent swatch
+  let typingTimer = 0;
+  const go = () => {
+    clearTimeout(typingTimer);
+    const color = (input.value || '').trim();
+    if (!update(color)) return;
+    saveState(true);
+    rememberColor(color);
+  };
+  btn.addEventListener('click', go);
+  input.addEventListener('keydown', (e) => { if (e.key === 'Enter') go(); });
+  input.addEventListener('change', go);
+
+  // Live preview: typing converts after a pause, skipping half-typed colors without an
+  // error; the picker and sliders convert at most once per frame. Neither touches
+  // history — the change/Enter that finishes an edit records it
+  let frame = 0, pending = '';
+  const preview = (color) => { if (parseColor(color)) update(color); };
+  input.addEventListener('input', () => {
+    clearTimeout(typingTimer);
+    typingTimer = setTimeout(() => preview((input.value || '').trim()), LIVE_DELAY);
+  });
+  const previewNextFrame = (color) => {
+    input.value = pending = color;
+    if (!frame) frame = requestAnimationFrame(() => { frame = 0; preview(pending); });
+  };
+  const picker = document.getElementById('colorPicker');
+  if (picker) {
+    picker.addEventListener('input', () => previewNextFrame(picker.value));
+    picker.addEventListener('change', go);
+  }
+  Object.keys(SLIDERS).forEach(group => SLIDERS[group].ids.forEach(id => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.addEventListener('input', () => previewNextFrame(sliderColor(group)));
+    el.addEventListener('change', go);
+  }));
+
+  // Source space, ink limit, black generation, preview inks, gamut method and ΔE changes re-render the table
+  ['sourceSpace', 'tacLimit', 'blackGen', 'blackStart', 'maxK', 'richBlack', 'inkModel', 'gamutMethod', 'deltaEFormula', 'deltaETol'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener(el.tagName === 'INPUT' && el.type === 'number' ? 'input' : 'change', () => {
+      refresh();
+      saveState(false);
+    });
+  });
+  // The palette and proof intents only need recording; their own handlers do the work
+  ['paletteIntent', 'proofIntent'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener('change', () => saveState(false));
+  });
+
+  // Optional copy-link button and recent colors
+  const copyBtn = document.getElementById('copyLink');
+  if (copyBtn) copyBtn.addEventListener('click', () => copyLink(copyBtn));
+  const recent = document.getElementById('recentColors');
+  if (recent) recent.addEventListener('click', (e) => {
+    const b = e.target.closest('.recent-color');
+    if (!b) return;
+    input.value = b.dataset.color;
+    go();
+  });
+
+  // Back / forward (and hand-edited hashes) between sandbox states. The entry the page
+  // opened on keeps its URL but carries the seeded state, so stepping back to it restores
+  // the example color; section anchors have no state and are ignored
+  window.addEventListener('popstate', (e) => {
+    if (restoreState(location.hash) || (e.state && e.state.sandbox && restoreState(e.state.sandbox))) refresh();
+  });
+
+  // Optional printer profile picker
+  const iccInput = document.getElementById('iccInput');
+  const iccClear = document.getElementById('iccClear');
+  if (iccInput) iccInput.addEventListener('change', () => {
+    if (iccInput.files && iccInput.files[0]) loadProfile(iccInput.files[0]);
+  });
+  if (iccClear) iccClear.addEventListener('click', () => {
+    profile = null;
+    profileBuffer = null;
+    profileGamut = null;
+    iccInput.value = '';
+    iccClear.hidden = true;
+    document.getElementById('iccStatus').textContent = '';
+    refresh();
+  });
+
+  // Optional batch mode: pasted list or uploaded text/CSV file, exported as CSV or JSON
+  const batchInput = document.getElementById('batchInput');
+  const batchRun   = document.getElementById('batchRun');
+  const batchFile  = document.getElementById('batchFile');
+  if (batchInput && batchRun) batchRun.addEventListener('click', () => runBatch(batchInput.value));
+  if (batchFile) batchFile.addEventListener('change', () => {
+    if (batchFile.files && batchFile.files[0]) loadBatchFile(batchFile.files[0]);
+  });
+  const exporters = {batchCsv:['palette.csv', 'text/csv', batchToCsv], batchJson:['palette.json', 'application/json', batchToJson]};
+  Object.entries(exporters).forEach(([id, [filename, type, serialize]]) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener('click', () => {
+      if (!batch || !batch.results.length) return;
+      const tol = tolerance();
+      download(filename, type, serialize(batch.results, {formula:tol.formula, tolerance:tol.max}));
+    });
+  });
+  const paletteWriters = {
+    paletteAse: ['palette-cmyk.ase', 'application/octet-stream', (sw) => writeAse(sw)],
+    paletteGpl: ['palette-cmyk.gpl', 'text/plain', (sw, title) => writeGpl(sw, title)],
+    paletteCss: ['palette-cmyk.css', 'text/css', (sw, title) => writeCssProperties(sw, title)],
+  };
+  Object.entries(paletteWriters).forEach(([id, [filename, type, write]]) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener('click', () => {
+      if (!batch || !batch.results.length) return;
+      const select = document.getElementById('paletteIntent');
+      download(filename, type, write(paletteSwatches(), `CMYK (${select ? select.value : INTENTS[0].name})`));
+    });
+  });
+
+  // Optional reverse mode (CMYK / Lab → screen)
+  const reverseMode = document.getElementById('reverseMode');
+  const reverseInput = document.getElementById('reverseInput');
+  const reverseConvert = document.getElementById('reverseConvert');
+  if (reverseMode && reverseInput && document.getElementById('reverseOutput')) {
+    reverseMode.addEventListener('change', () => {
+      reverseInput.placeholder = REVERSE_EXAMPLES[reverseMode.value];
+      if (reverseInput.value.trim()) runReverse();
+    });
+    if (reverseConvert) reverseConvert.addEventListener('click', runReverse);
+    reverseInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') runReverse(); });
+    const reverseUse = document.getElementById('reverseUse');
+    if (reverseUse) reverseUse.addEventListener('click', () => {
+      input.value = reverseUse.dataset.hex;
+      go();
     });
   }
 
-  // DOM wiring — guarded so the file is safe to include site‑wide
-  document.addEventListener('DOMContentLoaded', () => {
-    const input = document.getElementById('hexInput');
-    const btn   = document.getElementById('convertBtn');
-    const tbody = document.querySelector('#intentTable tbody');
-    const swatch= document.getElementById('liveSwatch');
+  // Optional chromatic adaptation explorer: only its own table depends on these
+  ['adaptSource', 'adaptTarget', 'adaptSourceX', 'adaptSourceY', 'adaptTargetX', 'adaptTargetY'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener(el.type === 'number' ? 'input' : 'change', () => {
+      const base = hexToLabD50(current, sourceSpace());
+      if (base) renderAdaptation(base);
+    });
+  });
+
+  // Optional vision & contrast check: only its own table depends on these
+  ['contrastBg', 'cvdType'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener(id === 'contrastBg' ? 'input' : 'change', () => {
+      const result = convertColor(current);
+      if (result) renderVision(result.base, result.rows);
+      saveState(false);
+    });
+  });
 
-    // If the sandbox UI isn’t present, do nothing.
-    if (!input || !btn || !tbody || !swatch) return;
+  // Optional spot-color match: the library and count only affect its own table
+  const spotSelect = document.getElementById('spotLibrary');
+  const spotCountEl = document.getElementById('spotCount');
+  const spotFile = document.getElementById('spotFile');
+  if (spotSelect) spotSelect.addEventListener('change', () => {
+    const status = document.getElementById('spotStatus');
+    const library = spotChoice();
+    if (status) status.textContent = `Using ${library.name}: ${library.colors.length} colors`;
+    rerenderSpots();
+  });
+  if (spotCountEl) spotCountEl.addEventListener('input', () => {
+    rerenderSpots();
+    saveState(false);
+  });
+  if (spotFile) spotFile.addEventListener('change', () => {
+    if (spotFile.files && spotFile.files[0]) loadSpotFile(spotFile.files[0]);
+  });
 
-    // Hook up events
-    const go = () => {
-      const v = (input.value || '').trim();
-      const normalized = v.startsWith('#') ? v : ('#' + v);
-      update(normalized);
-    };
-    btn.addEventListener('click', go);
-    input.addEventListener('keydown', (e) => { if (e.key === 'Enter') go(); });
+  // Optional image soft proof
+  const proofFile = document.getElementById('proofFile');
+  if (proofFile && document.getElementById('proofSource')) proofFile.addEventListener('change', () => {
+    if (proofFile.files && proofFile.files[0]) loadProofImage(proofFile.files[0]);
+  });
+  ['proofIntent', 'proofThreshold'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener(el.type === 'number' ? 'input' : 'change', runSoftProof);
+  });
+  const proofShowOverlay = document.getElementById('proofShowOverlay');
+  const proofOverlay = document.getElementById('proofOverlay');
+  if (proofShowOverlay && proofOverlay) proofShowOverlay.addEventListener('change', () => {
+    proofOverlay.hidden = !proofShowOverlay.checked;
+  });
 
-    // Seed example color
+  // Seed from a shared link when the page opens on one, else the example color
+  renderRecent();
+  if (restoreState(location.hash)) {
+    update(current);
+    const section = document.getElementById('interactive-sandbox');
+    if (section) section.scrollIntoView();
+  } else {
     update('#629c67');
-  });
-})();
+    history.replaceState({sandbox:stateHash()}, '', location.href);
+  }
+});
@@ -0,0 +1,79 @@
+/*
+  test/batch.test.mjs — palette text in, CSV / JSON out (color/batch.mjs)
+
+  Names may come before or after the color, and either may contain the separators;
+  exported CSV must not hand a spreadsheet a formula from a pasted name.
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePalette, batchToCsv, batchToJson } from '../color/batch.mjs';
+
+const pairs = (text) => parsePalette(text).entries.map(({name, color}) => [name, color]);
+
+test('a name goes before or after the color, with any separator', () => {
+  assert.deepEqual(pairs([
+    'Brand green: #629c67', 'Brand green, #629c67', 'Brand green\t#629c67', 'Brand green = #629c67',
+    '#629c67, Brand green', '#629c67; Brand green', 'teal',
+  ].join('\n')), [
+    ['Brand green', '#629c67'], ['Brand green', '#629c67'], ['Brand green', '#629c67'], ['Brand green', '#629c67'],
+    ['Brand green', '#629c67'], ['Brand green', '#629c67'], ['', 'teal'],
+  ]);
+});
+
+test('colors written with commas parse in either order; a color word beside a color is its name', () => {
+  assert.deepEqual(pairs([
+    'rgb(98, 156, 103), Brand green',
+    'Brand green, rgb(98, 156, 103)',
+    'hsl(125, 23%, 50%): Leaf',
+    'Leaf: hsl(125, 23%, 50%)',
+    '#629c67, Green, dark',
+    'Green, dark: #629c67',
+    'rgb(98, 156, 103), Green',
+    '#629c67: Green',
+    'Red: #ff0000',
+  ].join('\n')), [
+    ['Brand green', 'rgb(98, 156, 103)'],
+    ['Brand green', 'rgb(98, 156, 103)'],
+    ['Leaf', 'hsl(125, 23%, 50%)'],
+    ['Leaf', 'hsl(125, 23%, 50%)'],
+    ['Green, dark', '#629c67'],
+    ['Green, dark', '#629c67'],
+    ['Green', 'rgb(98, 156, 103)'],
+    ['Green', '#629c67'],
+    ['Red', '#ff0000'],
+  ]);
+});
+
+test('several plain colors share a line; comments, blanks and non-colors are handled', () => {
+  const {entries, skipped} = parsePalette('name,color\n// brand\n\n#fff #000 teal\nnot a color, really\n');
+  assert.deepEqual(entries.map(e => [e.color, e.line]), [['#fff', 4], ['#000', 4], ['teal', 4]]);
+  assert.deepEqual(skipped, [{line:1, text:'name,color'}, {line:5, text:'not a color, really'}]);
+});
+
+// A converted color as the sandbox and CLI hand it over
+const result = (name, input) => ({
+  name, input, Lab:[59.32, -28.33, 21.61],
+  rows:[{name:'Naive math', out:{hex:'#629c67', Lab:[59.3176, -28.3333, 21.6067], cmyk:{C:0.3718, M:0, Y:0.3397, K:0.3882}}, tac:110.0, deltaE:0, pass:true}],
+});
+
+test('CSV quotes separators and neutralizes formula-like names, not negative numbers', () => {
+  const csv = batchToCsv([
+    result('=HYPERLINK("http://x")', '#629c67'), result('+1, -2', '#629c67'), result('@sum', '#629c67'),
+    result('-rich', '#629c67'), result('Brand green', '#629c67'),
+  ], {formula:'2000', tolerance:2});
+  const lines = csv.trim().split('\n');
+  assert.equal(lines[0], 'name,input,intent,hex,L,a,b,C,M,Y,K,TAC,deltaE2000,pass');
+  assert.equal(lines[1], `"'=HYPERLINK(""http://x"")",#629c67,Naive math,#629c67,59.32,-28.33,21.61,37.2,0,34,38.8,110,0,true`);
+  assert.match(lines[2], /^"'\+1, -2",/);
+  assert.match(lines[3], /^'@sum,/);
+  assert.match(lines[4], /^'-rich,/);
+  assert.match(lines[5], /^Brand green,#629c67,/);
+});
+
+test('JSON keeps names as given', () => {
+  const {deltaE, colors} = JSON.parse(batchToJson([result('=1+1', '#629c67')], {formula:'2000', tolerance:2}));
+  assert.deepEqual(deltaE, {formula:'2000', tolerance:2});
+  assert.equal(colors[0].name, '=1+1');
+  assert.deepEqual(colors[0].intents[0].cmyk, {C:37.2, M:0, Y:34, K:38.8});
+});
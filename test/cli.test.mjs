@@ -0,0 +1,95 @@
+/*
+  test/cli.test.mjs — bin/rgb2cmyk.mjs run as a real process
+
+  Output must match what the sandbox shows and exports for the same colors.
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { hexToLabD50, DEFAULT_BLACK, DEFAULT_INKS } from '../color/pipeline.mjs';
+import { DEFAULT_TOLERANCE } from '../color/delta-e.mjs';
+import { intentRows } from '../color/intent-rows.mjs';
+import { parsePalette, batchToCsv, batchToJson } from '../color/batch.mjs';
+
+const CLI = fileURLToPath(new URL('../bin/rgb2cmyk.mjs', import.meta.url));
+const run = (args, input) => spawnSync(process.execPath, [CLI, ...args], {input, encoding:'utf8'});
+
+test('one color, one intent, as JSON', () => {
+  const {status, stdout} = run(['#629c67', '--intent', 'naive', '--format', 'json']);
+  assert.equal(status, 0);
+  const {deltaE, colors} = JSON.parse(stdout);
+  assert.deepEqual(deltaE, {formula:'2000', tolerance:2});
+  assert.equal(colors.length, 1);
+  assert.deepEqual(colors[0].Lab, [59.32, -28.33, 21.61]);
+  assert.deepEqual(colors[0].intents.map(i => i.intent), ['Naive math']);
+  // The article’s naïve CMYK for #629c67
+  assert.deepEqual(colors[0].intents[0].cmyk, {C:37.2, M:0, Y:34, K:38.8});
+});
+
+test('a named list on stdin becomes CSV, one row per color × intent', () => {
+  const {status, stdout} = run(['-f', 'csv'], 'Brand green: #629c67\nteal\n');
+  assert.equal(status, 0);
+  const lines = stdout.trim().split('\n');
+  assert.equal(lines[0], 'name,input,intent,hex,L,a,b,C,M,Y,K,TAC,deltaE2000,pass');
+  assert.equal(lines.length, 1 + 2 * 5);
+  assert.match(lines[1], /^Brand green,#629c67,Perceptual,/);
+  assert.match(lines[10], /^,teal,Naive math,#008080,/);
+});
+
+test('the table lists every intent by default', () => {
+  const {status, stdout} = run(['teal']);
+  assert.equal(status, 0);
+  const lines = stdout.trim().split('\n');
+  assert.match(lines[0], /^Color\s+Intent\s+Hex\s+C\s+M\s+Y\s+K\s+TAC\s+ΔE2000/);
+  assert.equal(lines.length, 6);
+  assert.match(lines[5], /^teal\s+Naive math\s+#008080\s+100\s+0\s+0\s+50\s+150%\s+0\.00\s+pass$/);
+});
+
+test('black generation and source space options reach the pipeline', () => {
+  const naive = (args) => JSON.parse(run(['#808080', '-i', 'naive', '-f', 'json', ...args]).stdout).colors[0].intents[0].cmyk;
+  assert.deepEqual(naive([]), {C:0, M:0, Y:0, K:49.8});
+  assert.deepEqual(naive(['--black', 'none']), {C:49.8, M:49.8, Y:49.8, K:0});
+  const lab = (space) => JSON.parse(run(['#ff0000', '-i', 'naive', '-f', 'json', '-s', space]).stdout).colors[0].Lab;
+  assert.notDeepEqual(lab('display-p3'), lab('srgb'));
+});
+
+test('rows come from the builder the sandbox table uses', () => {
+  const {status, stdout} = run(['teal', '--black', 'ucr', '--delta-e', '94', '-f', 'json']);
+  assert.equal(status, 0);
+  const {Lab} = hexToLabD50('teal');
+  const rows = intentRows(Lab, {black:{...DEFAULT_BLACK, strategy:'ucr'}, tolerance:{formula:'94', max:2}});
+  assert.equal(stdout, batchToJson([{name:'', input:'teal', Lab, rows}], {formula:'94', tolerance:2}) + '\n');
+});
+
+// The sandbox's batch export for a pasted list, with every control left at its default
+function sandboxCsv(text, {black = DEFAULT_BLACK, inks = DEFAULT_INKS} = {}){
+  const results = parsePalette(text).entries.map(({name, color}) => {
+    const {Lab} = hexToLabD50(color);
+    return {name, input:color, Lab, rows:intentRows(Lab, {black, inks, tolerance:DEFAULT_TOLERANCE})};
+  });
+  return batchToCsv(results, {formula:DEFAULT_TOLERANCE.formula, tolerance:DEFAULT_TOLERANCE.max});
+}
+
+test('CSV matches the sandbox’s batch export at its default settings, and with press inks', () => {
+  const list = 'Brand green: #629c67\n#808080\nrgb(200, 40, 40), Signal red\n';
+  const {status, stdout} = run(['-f', 'csv'], list);
+  assert.equal(status, 0);
+  assert.equal(stdout, sandboxCsv(list));
+  const press = run(['-f', 'csv', '--inks', 'press', '--black', 'none'], list).stdout;
+  assert.equal(press, sandboxCsv(list, {black:{...DEFAULT_BLACK, strategy:'none'}, inks:'press'}));
+  assert.notEqual(press, run(['-f', 'csv', '--black', 'none'], list).stdout);
+});
+
+test('unreadable colors are skipped with exit status 1; bad options exit 2', () => {
+  const skipped = run(['#629c67', 'nope']);
+  assert.equal(skipped.status, 1);
+  assert.match(skipped.stderr, /skipped nope/);
+  assert.match(skipped.stdout, /#629c67/);
+
+  const bad = run(['--format', 'xml', 'teal']);
+  assert.equal(bad.status, 2);
+  assert.match(bad.stderr, /--format must be one of table, csv, json/);
+  assert.match(run(['--inks', 'cmyk', 'teal']).stderr, /--inks must be one of ideal, press/);
+});
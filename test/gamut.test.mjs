@@ -0,0 +1,64 @@
+/*
+  test/gamut.test.mjs — gamut checks and mapping (color/gamut.mjs)
+
+  The extremes of sRGB, Display P3 and Rec. 2020 must come out of every mapping method
+  inside the target gamut, at the hue they went in with; the chroma-preserving method
+  must find each hue's cusp once and reuse it.
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hexToLabD50, labToLch } from '../color/pipeline.mjs';
+import { GAMUT_METHODS, SRGB_GAMUT, PRESS_GAMUT, mapToGamut } from '../color/gamut.mjs';
+
+// Primaries, secondaries, white and black of each RGB space
+const CORNERS = ['1 0 0', '0 1 0', '0 0 1', '0 1 1', '1 0 1', '1 1 0', '1 1 1', '0 0 0'];
+const EXTREMES = ['srgb', 'display-p3', 'rec2020'].flatMap(space => CORNERS.map(c => `color(${space} ${c})`));
+// Signed hue difference folded into −180..180
+const hueDiff = (a, b) => ((a - b + 540) % 360) - 180;
+
+for (const gamut of [SRGB_GAMUT, PRESS_GAMUT]) {
+  test(`every method maps sRGB, P3 and Rec. 2020 extremes into ${gamut.name}`, () => {
+    EXTREMES.forEach(color => {
+      const {Lab} = hexToLabD50(color);
+      Object.keys(GAMUT_METHODS).forEach(method => {
+        const mapped = mapToGamut(Lab, gamut, method);
+        assert.ok(gamut.contains(mapped.Lab), `${color} by ${method}: ${mapped.Lab}`);
+        if (mapped.inGamut && method !== 'hue') assert.equal(mapped.deltaE, 0);
+      });
+    });
+  });
+}
+
+test('mapping keeps the hue', () => {
+  EXTREMES.forEach(color => {
+    const {Lab} = hexToLabD50(color);
+    const [, C, h] = labToLch(Lab);
+    if (C < 5) return;
+    Object.keys(GAMUT_METHODS).forEach(method => {
+      const [, Cm, hm] = labToLch(mapToGamut(Lab, PRESS_GAMUT, method).Lab);
+      if (Cm > 1) assert.ok(Math.abs(hueDiff(hm, h)) < 0.01, `${color} by ${method}: ${h} → ${hm}`);
+    });
+  });
+});
+
+test('out-of-gamut colors are reported, in-gamut ones left alone by clip and chroma', () => {
+  const p3Green = hexToLabD50('color(display-p3 0 1 0)').Lab;
+  const outside = mapToGamut(p3Green, SRGB_GAMUT, 'clip');
+  assert.equal(outside.inGamut, false);
+  assert.ok(outside.deltaE > 10);
+  const gray = hexToLabD50('#808080').Lab;
+  ['clip', 'chroma'].forEach(method => assert.deepEqual(mapToGamut(gray, PRESS_GAMUT, method).Lab, gray));
+});
+
+test('the chroma-preserving method scans a gamut’s cusp once per hue', () => {
+  let calls = 0;
+  const counted = {...PRESS_GAMUT, contains(Lab) { calls++; return PRESS_GAMUT.contains.call(this, Lab); }};
+  const p3Red = hexToLabD50('color(display-p3 1 0 0)').Lab;
+  mapToGamut(p3Red, counted, 'chroma');
+  const first = calls;
+  calls = 0;
+  mapToGamut(p3Red, counted, 'chroma');
+  assert.ok(first > 400, `first mapping: ${first} checks`);
+  assert.ok(calls < 30, `second mapping: ${calls} checks`);
+});
@@ -0,0 +1,153 @@
+/*
+  test/icc.test.mjs — color/icc.mjs against small synthetic output profiles
+
+  The profiles are built here: a header, a tag table and A2B/B2A tables sampled from
+  the pipeline's ideal-ink model (rgbLinear_to_cmyk one way, cmykToScreen the other),
+  written once as lut16Type ('mft2') and once as lutAtoBType / lutBtoAType
+  ('mAB ' / 'mBA '). A color in the middle of the gamut must survive Lab → CMYK → Lab
+  through either, and a table the CMM can't use must be refused when the profile loads.
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hexToLabD50, labToLinearRgbViaD50, rgbLinear_to_cmyk, cmykToScreen } from '../color/pipeline.mjs';
+import { deltaE2000 } from '../color/delta-e.mjs';
+import { parseIccProfile, profileLabToCmyk, profileCmykToLab, iccConvertIntent } from '../color/icc.mjs';
+
+// The model the tables sample: Lab → CMYK and CMYK → Lab (D50)
+const labToCmyk = (Lab) => { const {C, M, Y, K} = rgbLinear_to_cmyk(labToLinearRgbViaD50(Lab)); return [C, M, Y, K]; };
+const cmykToLab = ([C, M, Y, K]) => cmykToScreen({C, M, Y, K}).Lab;
+// PCS Lab ⇄ normalized table values: legacy 16-bit encoding for mft2, v4 otherwise
+const PCS = {
+  legacy: {
+    decode: (v) => [v[0]*0xFFFF / 0xFF00 * 100, v[1]*0xFFFF/256 - 128, v[2]*0xFFFF/256 - 128],
+    encode: ([L, a, b]) => [L/100 * 0xFF00 / 0xFFFF, (a + 128)*256 / 0xFFFF, (b + 128)*256 / 0xFFFF],
+  },
+  v4: {
+    decode: (v) => [v[0]*100, v[1]*255 - 128, v[2]*255 - 128],
+    encode: ([L, a, b]) => [L/100, (a + 128)/255, (b + 128)/255],
+  },
+};
+
+// Grid samples of `fn` over `inCh` normalized inputs, first input slowest, as 16-bit values
+function sampleGrid(inCh, points, fn) {
+  const out = [];
+  const visit = (prefix) => {
+    if (prefix.length === inCh) { fn(prefix).forEach(v => out.push(Math.round(Math.min(Math.max(v, 0), 1) * 65535))); return; }
+    for (let i = 0; i < points; i++) visit([...prefix, i / (points - 1)]);
+  };
+  visit([]);
+  return out;
+}
+
+// Byte writer with big-endian helpers
+function writer() {
+  const bytes = [];
+  const w = {
+    bytes,
+    u8: (v) => { bytes.push(v & 0xFF); return w; },
+    u16: (v) => w.u8(v >> 8).u8(v),
+    u32: (v) => w.u16(v >>> 16).u16(v),
+    s15f16: (v) => w.u32(Math.round(v * 65536) >>> 0),
+    ascii: (s) => { [...s].forEach(c => w.u8(c.charCodeAt(0))); return w; },
+    pad: () => { while (bytes.length % 4) w.u8(0); return w; },
+  };
+  return w;
+}
+const IDENTITY = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+// lut16Type with straight-line input/output tables around the CLUT
+function mft2(inCh, outCh, points, fn) {
+  const w = writer().ascii('mft2').u32(0).u8(inCh).u8(outCh).u8(points).u8(0);
+  IDENTITY.flat().forEach(v => w.s15f16(v));
+  w.u16(2).u16(2);
+  for (let i = 0; i < inCh; i++) w.u16(0).u16(65535);
+  sampleGrid(inCh, points, fn).forEach(v => w.u16(v));
+  for (let i = 0; i < outCh; i++) w.u16(0).u16(65535);
+  return w.pad().bytes;
+}
+
+// lutAtoBType / lutBtoAType: identity curves on both sides of a 16-bit CLUT
+function mAB(isAtoB, inCh, outCh, points, fn) {
+  const curves = (n) => { const w = writer(); for (let i = 0; i < n; i++) w.ascii('curv').u32(0).u32(0); return w.bytes; };
+  const clut = writer();
+  for (let i = 0; i < 16; i++) clut.u8(i < inCh ? points : 0);
+  clut.u8(2).u8(0).u8(0).u8(0);
+  sampleGrid(inCh, points, fn).forEach(v => clut.u16(v));
+  clut.pad();
+  const pcsCurves = curves(isAtoB ? outCh : inCh), deviceCurves = curves(isAtoB ? inCh : outCh);
+  const oB = 32, oClut = oB + pcsCurves.length, oA = oClut + clut.bytes.length;
+  const w = writer().ascii(isAtoB ? 'mAB ' : 'mBA ').u32(0).u8(inCh).u8(outCh).u16(0)
+    .u32(oB).u32(0).u32(0).u32(oClut).u32(oA);
+  w.bytes.push(...pcsCurves, ...clut.bytes, ...deviceCurves);
+  return w.bytes;
+}
+
+// Header + tag table + tags → ArrayBuffer of a CMYK output profile with Lab PCS
+function buildProfile(tags, {deviceClass = 'prtr'} = {}) {
+  const entries = Object.entries({desc:writer().ascii('desc').u32(0).u32(10).ascii('Synthetic').u8(0).pad().bytes, ...tags});
+  let offset = 128 + 4 + entries.length*12;
+  const table = entries.map(([name, bytes]) => { const at = offset; offset += bytes.length; return {name, at, bytes}; });
+  const w = writer();
+  w.u32(offset).ascii('none').u8(4).u8(0x20).u16(0).ascii(deviceClass).ascii('CMYK').ascii('Lab ');
+  while (w.bytes.length < 36) w.u8(0);
+  w.ascii('acsp');
+  while (w.bytes.length < 128) w.u8(0);
+  w.u32(entries.length);
+  table.forEach(t => w.ascii(t.name).u32(t.at).u32(t.bytes.length));
+  table.forEach(t => w.bytes.push(...t.bytes));
+  return new Uint8Array(w.bytes).buffer;
+}
+
+// Colorimetric tables for one encoding; the B2A grid is 17³, the A2B grid 9⁴
+function tables(kind) {
+  const pcs = PCS[kind === 'mft2' ? 'legacy' : 'v4'];
+  const b2a = (v) => labToCmyk(pcs.decode(v));
+  const a2b = (v) => pcs.encode(cmykToLab(v));
+  return kind === 'mft2'
+    ? {B2A0:mft2(3, 4, 17, b2a), B2A1:mft2(3, 4, 17, b2a), A2B1:mft2(4, 3, 9, a2b)}
+    : {B2A0:mAB(false, 3, 4, 17, b2a), B2A1:mAB(false, 3, 4, 17, b2a), A2B1:mAB(true, 4, 3, 9, a2b)};
+}
+
+for (const kind of ['mft2', 'mAB']) {
+  test(`a synthetic ${kind} profile parses and round-trips Lab → CMYK → Lab`, () => {
+    const profile = parseIccProfile(buildProfile(tables(kind)));
+    assert.equal(profile.description, 'Synthetic');
+    assert.equal(profile.version, '4.2');
+    ['#629c67', '#808080', '#336699', '#c8a040'].forEach(hex => {
+      const {Lab} = hexToLabD50(hex);
+      const cmyk = profileLabToCmyk(profile, Lab, 1);
+      const expected = labToCmyk(Lab);
+      // Within the interpolation error of a 17-point grid across the K = min(C, M, Y) kink
+      assert.ok([cmyk.C, cmyk.M, cmyk.Y, cmyk.K].every((v, i) => Math.abs(v - expected[i]) < 0.05), `${hex}: ${JSON.stringify(cmyk)} vs ${expected}`);
+      const back = profileCmykToLab(profile, cmyk, 1);
+      assert.ok(deltaE2000(Lab, back) < 1.5, `${hex}: ΔE ${deltaE2000(Lab, back)}`);
+      assert.deepEqual(iccConvertIntent(profile, Lab, 1).Lab, back);
+    });
+    // Saturation has no table of its own and falls back to perceptual (B2A0)
+    const {Lab} = hexToLabD50('#629c67');
+    assert.deepEqual(profileLabToCmyk(profile, Lab, 2), profileLabToCmyk(profile, Lab, 0));
+  });
+}
+
+test('a table the CMM can’t read is refused at load, whichever intent it serves', () => {
+  const good = tables('mAB');
+  const mpet = writer().ascii('mpet').u32(0).u16(3).u16(4).u32(0).bytes;
+  assert.throws(() => parseIccProfile(buildProfile({...good, B2A2:mpet})), /Unsupported LUT type “mpet” in B2A2/);
+  assert.throws(() => parseIccProfile(buildProfile({...good, A2B0:[...mpet]})), /Unsupported LUT type “mpet” in A2B0/);
+});
+
+test('truncated, mis-shaped or missing tables are refused at load', () => {
+  const good = tables('mft2');
+  assert.throws(() => parseIccProfile(buildProfile({...good, B2A2:good.B2A1.slice(0, 200)})), /B2A2 table is truncated/);
+  assert.throws(() => parseIccProfile(buildProfile({...good, B2A1:mft2(3, 3, 2, v => v)})), /B2A1 table maps 3 → 3 channels; expected 3 → 4/);
+  const {A2B1, ...noPreview} = good;
+  assert.throws(() => parseIccProfile(buildProfile(noPreview)), /no A2B tables/);
+  assert.throws(() => parseIccProfile(buildProfile(good, {deviceClass:'mntr'})), /Expected a CMYK printer/);
+});
+
+// Keep the helpers honest: the model itself round-trips, so the tolerances above are the CMM's
+test('the sampled model round-trips on its own', () => {
+  const {Lab} = hexToLabD50('#629c67');
+  assert.ok(deltaE2000(Lab, cmykToLab(labToCmyk(Lab))) < 1e-3);
+});
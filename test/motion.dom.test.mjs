@@ -0,0 +1,138 @@
+/*
+  test/motion.dom.test.mjs — core.js motion settings, in-view animations and the
+  typewriter replay, against the real index.html in jsdom
+
+  Each test loads its own copy of the page so the OS preference (matchMedia) and the
+  saved choice start fresh. The IntersectionObserver stand-in records its targets so a
+  test can report elements entering and leaving the viewport.
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const html = readFileSync(new URL('../index.html', import.meta.url), 'utf8').replace(/<script[\s\S]*?<\/script>/g, '');
+const core = readFileSync(new URL('../core.js', import.meta.url), 'utf8');
+
+// A page with core.js run in it; `reduce` is the OS prefers-reduced-motion setting
+async function load({markup = html, reduce = false, saved = null} = {}){
+  const {window} = new JSDOM(markup, {url:'https://example.test/guide/', runScripts:'outside-only', pretendToBeVisual:true});
+  if (saved) window.localStorage.setItem('motion', saved);
+  const observers = [];
+  window.IntersectionObserver = class {
+    constructor(callback){ this.callback = callback; this.targets = new Set(); observers.push(this); }
+    observe(el){ this.targets.add(el); }
+    unobserve(el){ this.targets.delete(el); }
+    disconnect(){ this.targets.clear(); }
+  };
+  window.matchMedia = (query) => ({
+    matches: reduce && query.includes('prefers-reduced-motion'),
+    addEventListener(){}, removeEventListener(){},
+  });
+  window.eval(core);
+  if (window.document.readyState === 'loading') {
+    await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+  }
+  const {document} = window;
+  const animations = observers.find(o => Array.from(o.targets).some(el => el.classList.contains('animate')));
+  // Report elements entering or leaving the viewport
+  const intersect = (els, isIntersecting) => animations.callback(els.map(target => ({target, isIntersecting})), animations);
+  return {window, document, animations, intersect};
+}
+
+test('by default motion is on and an element animates once', async () => {
+  const {document, animations, intersect} = await load();
+  assert.equal(document.documentElement.getAttribute('data-motion'), 'full');
+  assert.equal(document.getElementById('motionToggle').getAttribute('aria-pressed'), 'false');
+
+  const line = document.querySelector('.code-type.animate');
+  intersect([line], true);
+  assert.ok(line.classList.contains('in-view'));
+  intersect([line], false);
+  assert.ok(line.classList.contains('in-view'));
+  assert.ok(!line.classList.contains('animate'));
+  assert.ok(!animations.targets.has(line));
+});
+
+test('data-animate="replay" reruns the animation on every entry', async () => {
+  const markup = html.replace('<div class="code">', '<div class="code" data-animate="replay">');
+  const {document, intersect} = await load({markup});
+  const line = document.querySelector('[data-animate="replay"] .code-type');
+  intersect([line], true);
+  assert.ok(line.classList.contains('in-view'));
+  intersect([line], false);
+  assert.ok(!line.classList.contains('in-view'));
+  assert.ok(line.classList.contains('animate'));
+  intersect([line], true);
+  assert.ok(line.classList.contains('in-view'));
+});
+
+test('typewriter timings default to 350 / 1000 ms and follow data-stagger / data-duration', async () => {
+  const markup = html.replace('<div class="code">', '<div class="code" data-stagger="100" data-duration="400">');
+  const {document} = await load({markup});
+  const timed = Array.from(document.querySelector('[data-stagger]').querySelectorAll('.code-type'));
+  assert.deepEqual(timed.slice(0, 3).map(l => [l.style.animationDelay, l.style.animationDuration]),
+    [['0ms', '400ms'], ['100ms', '400ms'], ['200ms', '400ms']]);
+  const plain = Array.from(document.querySelectorAll('.code:not([data-stagger])')[1].querySelectorAll('.code-type'));
+  assert.deepEqual(plain.slice(0, 2).map(l => [l.style.animationDelay, l.style.animationDuration]),
+    [['0ms', '1000ms'], ['350ms', '1000ms']]);
+});
+
+test('the replay button types a block out again', async () => {
+  const {window, document, intersect} = await load();
+  const block = document.querySelectorAll('.code')[1];
+  const lines = Array.from(block.querySelectorAll('.code-type'));
+  const button = block.querySelector('.code-replay');
+  assert.equal(document.querySelectorAll('.code-replay').length,
+    Array.from(document.querySelectorAll('.code')).filter(b => b.querySelector('.code-type')).length);
+  assert.equal(button.hidden, false);
+  intersect(lines, true);
+
+  // Each line must lose .in-view and get it back (a class change whose old value lacks it)
+  const readded = new Set();
+  const watcher = new window.MutationObserver(records => records.forEach(r => {
+    if (!/\bin-view\b/.test(r.oldValue)) readded.add(r.target);
+  }));
+  watcher.observe(block, {subtree:true, attributeFilter:['class'], attributeOldValue:true});
+  button.click();
+  await new Promise(resolve => setTimeout(resolve));
+  lines.forEach(l => assert.ok(l.classList.contains('in-view')));
+  assert.ok(lines.every(l => readded.has(l)));
+});
+
+test('the OS reduced-motion setting holds animations back and hides replay', async () => {
+  const {document, intersect} = await load({reduce:true});
+  assert.equal(document.documentElement.getAttribute('data-motion'), 'reduced');
+  assert.equal(document.getElementById('motionToggle').getAttribute('aria-pressed'), 'true');
+  const line = document.querySelector('.code-type.animate');
+  intersect([line], true);
+  assert.ok(!line.classList.contains('in-view'));
+  document.querySelectorAll('.code-replay').forEach(b => assert.equal(b.hidden, true));
+});
+
+test('the toggle overrides the OS setting, is saved, and is restored on the next visit', async () => {
+  const {window, document, animations} = await load({reduce:true});
+  const toggle = document.getElementById('motionToggle');
+  toggle.click();
+  assert.equal(document.documentElement.getAttribute('data-motion'), 'full');
+  assert.equal(toggle.getAttribute('aria-pressed'), 'false');
+  assert.equal(window.localStorage.getItem('motion'), 'full');
+  document.querySelectorAll('.code-replay').forEach(b => assert.equal(b.hidden, false));
+  // Everything not yet played is watched again, so what’s on screen animates now
+  assert.ok(animations.targets.size > 10);
+
+  toggle.click();
+  assert.equal(window.localStorage.getItem('motion'), 'reduced');
+
+  const next = await load({reduce:false, saved:'reduced'});
+  assert.equal(next.document.documentElement.getAttribute('data-motion'), 'reduced');
+});
+
+test('turning motion off settles revealed elements', async () => {
+  const {document, intersect} = await load();
+  const line = document.querySelector('.code-type.animate');
+  intersect([line], true);
+  document.getElementById('motionToggle').click();
+  assert.ok(!line.classList.contains('in-view'));
+});
@@ -0,0 +1,110 @@
+/*
+  test/palette-files.test.mjs — ASE, GPL and CSS palettes (color/palette-files.mjs)
+
+  What the sandbox writes must read back as the same swatches: RGB as its hex, CMYK
+  through the ink model the preview uses (cmyk_to_rgb), spot swatches still marked spot.
+  Files from other tools — GIMP comments and name columns, CSS with other properties —
+  read the colors and leave the rest.
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cmyk_to_rgb, parseColor } from '../color/pipeline.mjs';
+import { readAse, writeAse, readGpl, writeGpl, readCssProperties, writeCssProperties, readPaletteFile } from '../color/palette-files.mjs';
+
+// sRGB coordinates of a color string read back, and of a hex
+const coords = (color) => parseColor(color).coords;
+const hexCoords = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+const close = (a, b, eps) => a.length === b.length && a.every((v, i) => Math.abs(v - b[i]) < eps);
+
+// Ink values a 32-bit float holds exactly, so the read-back is the model's own output
+const INKS = {C:0.25, M:0.5, Y:0, K:0.125};
+
+test('ASE round-trips RGB, CMYK and spot swatches', () => {
+  const read = readAse(writeAse([
+    {name:'Brand green', hex:'#629c67'},
+    {name:'Violet', hex:'#a070e0', cmyk:INKS},
+    {name:'PANTONE 7739 C', hex:'#319b42', cmyk:{C:0.75, M:0, Y:1, K:0}, spot:true},
+  ]));
+  assert.deepEqual(read.map(s => [s.name, s.spot]), [['Brand green', false], ['Violet', false], ['PANTONE 7739 C', true]]);
+  assert.ok(close(coords(read[0].color), hexCoords('#629c67'), 1e-4), read[0].color);
+  assert.match(read[1].color, /^color\(srgb /);
+  assert.match(read[2].color, /^color\(srgb /);
+});
+
+test('ASE CMYK swatches read back through the documented ink model (cmyk_to_rgb)', () => {
+  const [violet, spot] = readAse(writeAse([
+    {name:'Violet', hex:'#a070e0', cmyk:INKS},
+    {name:'Spot', hex:'#319b42', cmyk:{C:0.75, M:0, Y:1, K:0}, spot:true},
+  ]));
+  assert.ok(close(coords(violet.color), cmyk_to_rgb(INKS), 1e-4), violet.color);
+  assert.ok(close(coords(spot.color), cmyk_to_rgb({C:0.75, M:0, Y:1, K:0}), 1e-4), spot.color);
+  // The ideal model: each channel is what its ink and black leave of white
+  assert.ok(close(cmyk_to_rgb(INKS), [0.75*0.875, 0.5*0.875, 1*0.875], 1e-12));
+});
+
+test('a malformed ASE file is refused', () => {
+  assert.throws(() => readAse(new TextEncoder().encode('GIMP').buffer), /missing ASEF signature/);
+  const whole = writeAse([{name:'Brand green', hex:'#629c67'}]);
+  assert.throws(() => readAse(whole.slice(0, whole.byteLength - 4)), /truncated/);
+});
+
+test('GPL reads past comments and keeps the name column', () => {
+  const swatches = readGpl([
+    'GIMP Palette',
+    'Name: Brand',
+    'Columns: 4',
+    '# exported by hand',
+    '#',
+    ' 98 156 103\tBrand green',
+    '255 255 255  Paper white (uncoated)',
+    '  0   0   0',
+    '# 12 34 56 commented out',
+    '',
+  ].join('\n'));
+  assert.deepEqual(swatches, [
+    {name:'Brand green', color:'rgb(98 156 103)'},
+    {name:'Paper white (uncoated)', color:'rgb(255 255 255)'},
+    {name:'', color:'rgb(0 0 0)'},
+  ]);
+  assert.throws(() => readGpl('98 156 103 Brand green\n'), /missing “GIMP Palette” header/);
+});
+
+test('GPL round-trips the preview color, with ink values in the names', () => {
+  const text = writeGpl([{name:'Brand green', hex:'#629c67', cmyk:{C:0.372, M:0, Y:0.34, K:0.388}}, {name:'', hex:'#ffffff'}], 'Brand');
+  assert.match(text, /^GIMP Palette\nName: Brand\n/);
+  assert.deepEqual(readGpl(text), [
+    {name:'Brand green C37 M0 Y34 K39', color:'rgb(98 156 103)'},
+    {name:'#ffffff', color:'rgb(255 255 255)'},
+  ]);
+});
+
+test('CSS custom properties: colors read, other values and rules left out', () => {
+  assert.deepEqual(readCssProperties(`
+    :root {
+      --brand-green: #629c67;
+      --brand-green-cmyk: device-cmyk(37% 0% 34% 39%);
+      --gap: 4px;
+      --ink: oklch(0.63 0.1 145);
+    }
+    .card { color: var(--ink); }
+  `), [{name:'brand-green', color:'#629c67'}, {name:'ink', color:'oklch(0.63 0.1 145)'}]);
+});
+
+test('CSS round-trips the preview color under unique property names', () => {
+  const text = writeCssProperties([
+    {name:'Brand green', hex:'#629c67', cmyk:{C:0.372, M:0, Y:0.34, K:0.388}},
+    {name:'Brand green', hex:'#111111'},
+  ], 'Brand */ palette');
+  assert.match(text, /^\/\* Brand  palette \*\//);
+  assert.match(text, /--brand-green-cmyk: device-cmyk\(37% 0% 34% 39%\);/);
+  assert.deepEqual(readCssProperties(text), [{name:'brand-green', color:'#629c67'}, {name:'brand-green-2', color:'#111111'}]);
+});
+
+test('readPaletteFile picks the reader by content or extension', () => {
+  const encode = (s) => new TextEncoder().encode(s).buffer;
+  assert.equal(readPaletteFile('swatches.bin', writeAse([{name:'A', hex:'#629c67'}]))[0].name, 'A');
+  assert.equal(readPaletteFile('brand.txt', encode('GIMP Palette\n98 156 103 A\n'))[0].color, 'rgb(98 156 103)');
+  assert.equal(readPaletteFile('brand.css', encode('--a: teal;'))[0].color, 'teal');
+  assert.equal(readPaletteFile('brand.txt', encode('A: teal')), null);
+});
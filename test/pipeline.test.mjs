@@ -0,0 +1,153 @@
+/*
+  test/pipeline.test.mjs — color math against published reference values
+
+  Golden values come from:
+    • the article’s own worked example (#629c67, every step the page prints)
+    • Bruce Lindbloom’s RGB/XYZ matrices and Bradford D65 → D50 matrix
+      (brucelindbloom.com, “RGB/XYZ Matrices” and “Chromatic Adaptation”)
+    • CSS Color 4 sample conversions (§ lab()/lch() examples and the named-color table)
+    • Sharma, Wu & Dalal (2005) CIEDE2000 test data
+  Run with `npm test` (node --test, no browser needed).
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  srgbToLinear, linearToSrgb, mul3x3, M_srgb_to_xyz, M_xyz_to_srgb, M_bradford, Mi_bradford,
+  adaptD65toD50, adaptD50toD65, xyzD50_to_lab, hexToLabD50, rgbLinear_to_cmyk, cmyk_to_rgb,
+} from '../color/pipeline.mjs';
+import { deltaE2000 } from '../color/delta-e.mjs';
+
+// Element-wise closeness for numbers, vectors and matrices
+function close(actual, expected, tol, label = '') {
+  if (Array.isArray(expected)) {
+    assert.equal(actual.length, expected.length, `${label} length`);
+    expected.forEach((e, i) => close(actual[i], e, tol, `${label}[${i}]`));
+    return;
+  }
+  assert.ok(Math.abs(actual - expected) <= tol, `${label} ${actual} ≠ ${expected} (± ${tol})`);
+}
+
+// Adapted unit vectors, laid out as the rows of the 3×3 adaptation matrix
+const adaptationMatrix = (adapt) => {
+  const cols = [0, 1, 2].map(i => adapt([0, 1, 2].map(j => (i === j ? 1 : 0))));
+  return [0, 1, 2].map(r => cols.map(c => c[r]));
+};
+
+test('srgbToLinear / linearToSrgb follow the IEC 61966-2-1 curve', () => {
+  close(srgbToLinear(0), 0, 1e-12);
+  close(srgbToLinear(1), 1, 1e-12);
+  close(srgbToLinear(0.04045), 0.04045 / 12.92, 1e-12, 'linear segment');
+  close(srgbToLinear(0.5), 0.214041, 1e-6, 'mid gray');
+  close(linearToSrgb(0.0031308), 0.04045, 1e-6, 'breakpoint');
+  close(linearToSrgb(0.214041), 0.5, 1e-6);
+});
+
+test('sRGB ⇄ XYZ (D65) matrices match Lindbloom', () => {
+  close(M_srgb_to_xyz, [
+    [0.4124564, 0.3575761, 0.1804375],
+    [0.2126729, 0.7151522, 0.0721750],
+    [0.0193339, 0.1191920, 0.9503041],
+  ], 1e-7);
+  close(M_xyz_to_srgb, [
+    [ 3.2404542, -1.5371385, -0.4985314],
+    [-0.9692660,  1.8760108,  0.0415560],
+    [ 0.0556434, -0.2040259,  1.0572252],
+  ], 1e-6);
+});
+
+test('Bradford matrices and D65 → D50 adaptation match Lindbloom', () => {
+  close(M_bradford, [
+    [ 0.8951,  0.2664, -0.1614],
+    [-0.7502,  1.7135,  0.0367],
+    [ 0.0389, -0.0685,  1.0296],
+  ], 1e-12);
+  // Mi_bradford undoes M_bradford
+  [[1, 0, 0], [0, 1, 0], [0, 0, 1]].forEach(v => close(mul3x3(Mi_bradford, mul3x3(M_bradford, v)), v, 1e-6, 'inverse'));
+  close(adaptationMatrix(adaptD65toD50), [
+    [ 1.0478112,  0.0228866, -0.0501270],
+    [ 0.0295424,  0.9904844, -0.0170491],
+    [-0.0092345,  0.0150436,  0.7521316],
+  ], 1e-6);
+  close(adaptationMatrix(adaptD50toD65), [
+    [ 0.9555766, -0.0230393,  0.0631636],
+    [-0.0282895,  1.0099416,  0.0210077],
+    [ 0.0122982, -0.0204830,  1.3299098],
+  ], 1e-6);
+});
+
+test('xyzD50_to_lab: white, black and the linear segment near black', () => {
+  close(xyzD50_to_lab([0.96422, 1, 0.82521]), [100, 0, 0], 1e-4, 'D50 white');
+  close(xyzD50_to_lab([0, 0, 0]), [0, 0, 0], 1e-9, 'black');
+  // Y below ε = 216/24389 uses L = κ·Y (κ = 24389/27)
+  close(xyzD50_to_lab([0.96422 * 0.005, 0.005, 0.82521 * 0.005])[0], 0.005 * 24389 / 27, 1e-9, 'dark gray L');
+});
+
+test('the article’s worked example #629c67 reproduces every published step', () => {
+  const base = hexToLabD50('#629c67');
+  close(base.lin.map(linearToSrgb), [0.384314, 0.611765, 0.403922], 1e-6, 'normalized');
+  close(base.lin, [0.122139, 0.332452, 0.135633], 1e-6, 'linear RGB');
+  close(base.XYZd65, [0.193727, 0.273518, 0.170880], 1e-6, 'XYZ D65');
+  close(base.XYZd50, [0.200684, 0.273726, 0.130850], 1e-6, 'XYZ D50');
+  close(base.Lab, [59.318, -28.333, 21.607], 1e-3, 'Lab D50');
+});
+
+test('rgbLinear_to_cmyk: the article’s naïve CMYK table and pure inks', () => {
+  const {C, M, Y, K} = rgbLinear_to_cmyk(hexToLabD50('#629c67').lin);
+  close([C, M, Y, K].map(v => v * 100), [37.18, 0, 33.97, 38.82], 0.005, '#629c67');
+  const ink = (hex) => { const c = rgbLinear_to_cmyk(hexToLabD50(hex).lin); return [c.C, c.M, c.Y, c.K]; };
+  close(ink('#ffffff'), [0, 0, 0, 0], 1e-9, 'white');
+  close(ink('#000000'), [0, 0, 0, 1], 1e-9, 'black');
+  close(ink('#00ffff'), [1, 0, 0, 0], 1e-9, 'cyan');
+  close(ink('#ff00ff'), [0, 1, 0, 0], 1e-9, 'magenta');
+  close(ink('#ffff00'), [0, 0, 1, 0], 1e-9, 'yellow');
+  close(cmyk_to_rgb({C:0, M:1, Y:1, K:0}), [1, 0, 0], 1e-9, 'red from M+Y');
+});
+
+test('CSS Color 4 sample conversions', () => {
+  // Named colors → lab() as listed in the spec
+  close(hexToLabD50('green').Lab, [46.2775, -47.5621, 48.5837], 1e-3, 'green');
+  close(hexToLabD50('#ff0000').Lab, [54.2917, 80.8125, 69.8851], 1e-3, 'red');
+  close(hexToLabD50('white').Lab, [100, 0, 0], 1e-4, 'white');
+  // lab()/lch() examples and their sRGB equivalents (0..255, ± 1)
+  const rgb255 = (css) => hexToLabD50(css).lin.map(v => linearToSrgb(v) * 255);
+  close(rgb255('lab(29.2345% 39.3825 20.0664)'), [125, 35, 41], 1, 'lab dark red');
+  close(rgb255('lab(52.2345% 40.1645 59.9971)'), [198, 93, 6], 1, 'lab orange');
+  close(rgb255('lab(60.2345% -5.3654 58.956)'), [157, 147, 24], 1, 'lab olive');
+  close(hexToLabD50('lch(29.2345% 44.2 27)').Lab, [29.2345, 39.3825, 20.0664], 1e-3, 'lch = lab');
+  close(hexToLabD50('lch(52.2345% 72.2 56.2)').Lab, [52.2345, 40.1645, 59.9971], 1e-3, 'lch = lab');
+});
+
+test('a source space reinterprets legacy sRGB syntax, never an explicit color()', () => {
+  const srgbRed = hexToLabD50('#ff0000').Lab;
+  const p3Red = hexToLabD50('color(display-p3 1 0 0)').Lab;
+  assert.ok(deltaE2000(srgbRed, p3Red) > 5);
+  ['#ff0000', 'rgb(255 0 0)', 'hsl(0 100% 50%)', 'hwb(0 0% 0%)', 'red'].forEach(css => {
+    close(hexToLabD50(css, 'display-p3').Lab, p3Red, 1e-9, css);
+  });
+  ['color(srgb 1 0 0)', 'color(srgb 100% 0% 0%)'].forEach(css => {
+    close(hexToLabD50(css, 'display-p3').Lab, srgbRed, 1e-9, css);
+    close(hexToLabD50(css, 'rec2020').Lab, srgbRed, 1e-9, css);
+  });
+});
+
+test('deltaE2000 matches the Sharma, Wu & Dalal test data', () => {
+  const pairs = [
+    [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+    [[50, 3.1571, -77.2803], [50, 0, -82.7485], 2.8615],
+    [[50, -1.3802, -84.2814], [50, 0, -82.7485], 1.0],
+    [[50, 0, 0], [50, -1, 2], 2.3669],
+    [[50, 2.49, -0.001], [50, -2.49, 0.0009], 7.1792],
+    [[50, 2.49, -0.001], [50, -2.49, 0.0011], 7.2195],
+    [[50, -0.001, 2.49], [50, 0.0009, -2.49], 4.8045],
+    [[50, -0.001, 2.49], [50, 0.0011, -2.49], 4.7461],
+    [[50, 2.5, 0], [56, -27, -3], 31.9030],
+    [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+    [[22.7233, 20.0904, -46.694], [23.0331, 14.973, -42.5619], 2.0373],
+    [[2.0776, 0.0795, -1.135], [0.9033, -0.0636, -0.5514], 0.9082],
+  ];
+  pairs.forEach(([a, b, expected]) => {
+    close(deltaE2000(a, b), expected, 1e-4, `${a} / ${b}`);
+    close(deltaE2000(b, a), expected, 1e-4, `${b} / ${a} (symmetric)`);
+  });
+});
@@ -0,0 +1,105 @@
+/*
+  test/roundtrip.test.mjs — conversions that must come back where they started
+
+  hex → Lab → hex over a grid of sRGB colors, every forward/inverse pair in the
+  pipeline, and the naïve CMYK separations (which, with ideal inks, must preview as
+  the color they separate whatever the black generation — and through press inks,
+  must not).
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  hexToLabD50, labToLinearRgbViaD50, linearToSrgb, srgbToLinear, rgbToHex, labToScreen,
+  xyzD50_to_lab, lab_to_xyzD50, labToLch, lchToLab, adaptD65toD50, adaptD50toD65, adaptXYZ,
+  CAT_METHODS, ILLUMINANTS, RGB_SPACES, xyzD65_to_rgbSpace, mul3x3,
+  rgbLinear_to_cmyk, cmyk_to_rgb, BLACK_GENERATION, INK_MODELS,
+} from '../color/pipeline.mjs';
+import { deltaE2000 } from '../color/delta-e.mjs';
+
+const maxDiff = (a, b) => Math.max(...a.map((v, i) => Math.abs(v - b[i])));
+
+// Every 17th code value per channel: 16³ colors including black, white and the primaries
+const STEPS = Array.from({length:16}, (_, i) => i * 17);
+const GRID = STEPS.flatMap(r => STEPS.flatMap(g => STEPS.map(b => [r, g, b].map(v => v / 255))));
+// Lab samples spread over (and a bit past) the sRGB gamut
+const LABS = [[0, 0, 0], [100, 0, 0], [50, 0, 0], [59.3, -28.3, 21.6], [54.3, 80.8, 69.9],
+  [32.3, 79.2, -107.9], [97.6, -15.8, 93.4], [25, 40, -60], [75, -60, 10], [5, 3, -2]];
+
+test('hex → Lab (D50) → hex is lossless on an sRGB grid', () => {
+  GRID.forEach(rgb => {
+    const hex = rgbToHex(rgb);
+    const {Lab} = hexToLabD50(hex);
+    assert.equal(rgbToHex(labToLinearRgbViaD50(Lab).map(linearToSrgb)), hex, `${hex} via Lab ${Lab}`);
+    assert.equal(labToScreen(Lab).hex, hex);
+    assert.equal(labToScreen(Lab).clipped, false, `${hex} reported as clipped`);
+  });
+});
+
+test('srgbToLinear and linearToSrgb are inverses', () => {
+  for (let i = 0; i <= 1000; i++) {
+    const v = i / 1000;
+    assert.ok(Math.abs(linearToSrgb(srgbToLinear(v)) - v) < 1e-12, `${v}`);
+  }
+});
+
+test('Lab ⇄ XYZ (D50) and Lab ⇄ LCh round trips', () => {
+  LABS.forEach(Lab => {
+    assert.ok(maxDiff(xyzD50_to_lab(lab_to_xyzD50(Lab)), Lab) < 1e-9, `XYZ ${Lab}`);
+    assert.ok(maxDiff(lchToLab(labToLch(Lab)), Lab) < 1e-9, `LCh ${Lab}`);
+  });
+});
+
+test('chromatic adaptation there and back returns the same XYZ', () => {
+  const XYZ = hexToLabD50('#629c67').XYZd65;
+  assert.ok(maxDiff(adaptD50toD65(adaptD65toD50(XYZ)), XYZ) < 1e-6);
+  Object.keys(CAT_METHODS).forEach(method => {
+    const there = adaptXYZ(XYZ, ILLUMINANTS.D65.XYZ, ILLUMINANTS.A.XYZ, method);
+    const back = adaptXYZ(there, ILLUMINANTS.A.XYZ, ILLUMINANTS.D65.XYZ, method);
+    assert.ok(maxDiff(back, XYZ) < 1e-6, method);
+  });
+});
+
+test('every RGB source space round-trips through XYZ (D65)', () => {
+  Object.entries(RGB_SPACES).forEach(([key, space]) => {
+    GRID.filter((_, i) => i % 37 === 0).forEach(rgb => {
+      const XYZ = mul3x3(space.toXYZ, rgb.map(space.toLinear));
+      // The published 7-digit matrices aren’t exact inverses; near black the transfer
+      // curve’s steep linear segment magnifies that to ~1e-6
+      assert.ok(maxDiff(xyzD65_to_rgbSpace(XYZ, key), rgb) < 1e-5, `${key} ${rgb}`);
+    });
+  });
+});
+
+test('naïve CMYK previews as the color it separates, for every black generation', () => {
+  const blacks = [
+    ...Object.keys(BLACK_GENERATION).map(strategy => ({strategy})),
+    {strategy:'ucr'},
+    {strategy:'medium', blackStart:0.4, maxK:0.8},
+  ];
+  GRID.filter((_, i) => i % 7 === 0).forEach(rgb => {
+    blacks.forEach(black => {
+      const preview = cmyk_to_rgb(rgbLinear_to_cmyk(rgb.map(srgbToLinear), black));
+      assert.ok(maxDiff(preview, rgb) < 1e-9, `${rgbToHex(rgb)} with ${JSON.stringify(black)}`);
+    });
+  });
+});
+
+test('through press inks the black generation shows: CMY grays preview warm, K grays neutral', () => {
+  assert.deepEqual(cmyk_to_rgb({C:1, M:1, Y:1, K:1}, 'ideal'), [0, 0, 0]);
+  assert.deepEqual(cmyk_to_rgb({C:0, M:0, Y:0, K:0}, 'press'), [1, 1, 1]);
+  assert.ok(maxDiff(cmyk_to_rgb({C:1, M:0, Y:0, K:0}, 'press'), INK_MODELS.press.C) < 1e-12);
+  // Lab of a separation’s press-ink preview
+  const pressLab = (cmyk) => hexToLabD50(`color(srgb ${cmyk_to_rgb(cmyk, 'press').join(' ')})`).Lab;
+  ['#808080', '#404040', '#629c67'].forEach(hex => {
+    const lin = hexToLabD50(hex).lin;
+    const cmy = rgbLinear_to_cmyk(lin, {strategy:'none'}), gcr = rgbLinear_to_cmyk(lin, {strategy:'maximum'});
+    assert.ok(deltaE2000(pressLab(cmy), pressLab(gcr)) > 2, `${hex}: none vs maximum GCR`);
+    assert.ok(maxDiff(cmyk_to_rgb(cmy), cmyk_to_rgb(gcr)) < 1e-9, `${hex} with ideal inks`);
+  });
+  const gray = hexToLabD50('#808080').lin;
+  const [, , bCmy] = pressLab(rgbLinear_to_cmyk(gray, {strategy:'none'}));
+  const [, aK, bK] = pressLab(rgbLinear_to_cmyk(gray, {strategy:'maximum'}));
+  assert.ok(bCmy > 5, `CMY gray b* ${bCmy}`);
+  assert.ok(Math.hypot(aK, bK) < 2, `K gray chroma ${Math.hypot(aK, bK)}`);
+});
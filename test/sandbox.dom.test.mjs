@@ -0,0 +1,232 @@
+/*
+  test/sandbox.dom.test.mjs — sandbox.js wired to the real index.html, in jsdom
+
+  Loads the page markup (scripts stripped), exposes the jsdom window as the globals
+  sandbox.js expects, imports the module and fires DOMContentLoaded. The tests then
+  drive the page the way a reader would and read the table back.
+*/
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import { writeAse } from '../color/palette-files.mjs';
+
+const html = readFileSync(new URL('../index.html', import.meta.url), 'utf8').replace(/<script[\s\S]*?<\/script>/g, '');
+const dom = new JSDOM(html, {url:'https://example.test/guide/', pretendToBeVisual:true});
+const {window} = dom;
+for (const key of ['window', 'document', 'localStorage', 'history', 'location', 'navigator', 'requestAnimationFrame', 'cancelAnimationFrame']) {
+  Object.defineProperty(globalThis, key, {value:window[key], configurable:true, writable:true});
+}
+
+const $ = (sel) => window.document.querySelector(sel);
+const rows = () => Array.from(window.document.querySelectorAll('#intentTable tbody tr'));
+const cells = (tr) => Array.from(tr.children).map(td => td.textContent.trim());
+const settle = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+// Resolves once the page (sandbox.js included) has handled the next history navigation
+const navigated = () => new Promise(resolve => window.addEventListener('popstate', () => setTimeout(resolve), {once:true}));
+
+function convert(color){
+  $('#hexInput').value = color;
+  $('#convertBtn').click();
+}
+function setControl(id, value, type = 'change'){
+  const el = $(`#${id}`);
+  if (el.type === 'checkbox') el.checked = value; else el.value = value;
+  el.dispatchEvent(new window.Event(type));
+}
+
+before(async () => {
+  await import('../sandbox.js');
+  window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+});
+
+test('seeds the table with the article’s example color', () => {
+  const table = rows();
+  assert.equal(table.length, 5);
+  assert.deepEqual(table.map(tr => cells(tr)[0]),
+    ['Perceptual', 'Relative colorimetric', 'Saturation', 'Absolute colorimetric', 'Naive math']);
+  // Naïve row = the article’s sidequest table (C 37, M 0, Y 34, K 39)
+  assert.deepEqual(cells(table[4]).slice(2, 6), ['37', '0', '34', '39']);
+  assert.ok($('#liveSwatch').style.background);
+});
+
+test('unreadable input shows an inline error and clears the table', () => {
+  convert('not a color');
+  assert.equal($('#colorError').hidden, false);
+  assert.match($('#colorError').textContent, /not a color/);
+  assert.equal($('#hexInput').getAttribute('aria-invalid'), 'true');
+  assert.equal(rows().length, 0);
+
+  convert('teal');
+  assert.equal($('#colorError').hidden, true);
+  assert.equal($('#hexInput').getAttribute('aria-invalid'), 'false');
+  assert.equal(rows().length, 5);
+});
+
+test('a conversion is recorded in the URL hash and the recent colors', () => {
+  convert('#ff0000');
+  assert.equal(location.hash, '#sandbox?c=%23ff0000');
+  assert.deepEqual(JSON.parse(localStorage.getItem('sandboxRecent')).slice(0, 2), ['#ff0000', 'teal']);
+  assert.deepEqual(Array.from(window.document.querySelectorAll('#recentColors .recent-color')).slice(0, 2).map(b => b.dataset.color),
+    ['#ff0000', 'teal']);
+});
+
+test('sliders and picker follow the converted color', () => {
+  convert('#ff0000');
+  assert.equal($('#colorPicker').value, '#ff0000');
+  assert.deepEqual(['rgbR', 'rgbG', 'rgbB'].map(id => $(`#${id}`).value), ['255', '0', '0']);
+  assert.deepEqual(['labL', 'labA', 'labB'].map(id => $(`#${id}`).value), ['54', '81', '70']);
+});
+
+test('moving a slider converts the color it spells', async () => {
+  convert('#ff0000');
+  setControl('rgbG', '128', 'input');
+  await settle(100);
+  assert.equal($('#hexInput').value, 'rgb(255 128 0)');
+  assert.equal($('#colorPicker').value, '#ff8000');
+  assert.equal($('#labL').value, '68');
+});
+
+test('the ink limit flags rows and lands in the hash', () => {
+  convert('#629c67');
+  assert.ok(!rows().some(tr => tr.classList.contains('tac-over')));
+  // The naïve row lays down 37 + 0 + 34 + 39 = 110%
+  setControl('tacLimit', '100', 'input');
+  assert.ok(rows()[4].classList.contains('tac-over'));
+  assert.match(location.hash, /[?&]tac=100(&|$)/);
+  setControl('tacLimit', '300', 'input');
+  assert.ok(!location.hash.includes('tac='));
+});
+
+test('back / forward restore an earlier state', async () => {
+  convert('#00ff00');
+  setControl('gamutMethod', 'hue');
+  convert('#0000ff');
+  history.back();
+  await navigated();
+  assert.equal($('#hexInput').value, '#00ff00');
+  assert.equal($('#gamutMethod').value, 'hue');
+  history.forward();
+  await navigated();
+  assert.equal($('#hexInput').value, '#0000ff');
+  setControl('gamutMethod', 'clip');
+});
+
+// Typing with live preview, then Enter: the preview mustn’t swallow the history entry
+async function typeAndEnter(color){
+  const input = $('#hexInput');
+  for (let i = 1; i <= color.length; i++) {
+    input.value = color.slice(0, i);
+    input.dispatchEvent(new window.Event('input'));
+  }
+  await settle(300);
+  input.dispatchEvent(new window.KeyboardEvent('keydown', {key:'Enter'}));
+}
+
+test('back / forward step through typed colors', async () => {
+  convert('#ff0000');
+  await typeAndEnter('#00ffff');
+  assert.equal(location.hash, '#sandbox?c=%2300ffff');
+  await typeAndEnter('#ff00ff');
+  assert.equal(location.hash, '#sandbox?c=%23ff00ff');
+  history.back();
+  await navigated();
+  assert.equal($('#hexInput').value, '#00ffff');
+  assert.equal($('#colorPicker').value, '#00ffff');
+  history.back();
+  await navigated();
+  assert.equal($('#hexInput').value, '#ff0000');
+  history.forward();
+  await navigated();
+  assert.equal($('#hexInput').value, '#00ffff');
+});
+
+test('a plain section anchor leaves the sandbox alone', async () => {
+  convert('#123456');
+  location.hash = '#interactive-sandbox';
+  await navigated();
+  assert.equal($('#hexInput').value, '#123456');
+  assert.equal(rows().length, 5);
+});
+
+test('the pipeline inspector links only to headings that exist', () => {
+  convert('#629c67');
+  const links = Array.from(window.document.querySelectorAll('#inspectorSteps a[href^="#"]'));
+  assert.ok(links.length > 0);
+  links.forEach(a => assert.ok(window.document.getElementById(a.getAttribute('href').slice(1)), a.getAttribute('href')));
+});
+
+test('the contrast table grades the screen color and every print result', () => {
+  convert('#767676');
+  const table = Array.from(window.document.querySelectorAll('#contrastTable tbody tr'));
+  assert.equal(table.length, 1 + 5);
+  assert.match(cells(table[0]).join(' | '), /^Screen \| Aa Text \| 4\.54:1 · AA \| Lc 72/);
+  // Absolute colorimetric prints lighter (paper white): the AA pairing drops a grade
+  assert.ok(table[4].classList.contains('contrast-drop'));
+  setControl('cvdType', 'protanopia');
+  assert.equal(window.document.querySelectorAll('#cvdSwatches figure').length, 4);
+  assert.match(location.hash, /[?&]cvd=protanopia(&|$)/);
+  setControl('cvdType', 'none');
+});
+
+test('the spot table ranks the bundled RAL colors and keeps its count in the hash', () => {
+  convert('#bb1e10');
+  const table = () => Array.from(window.document.querySelectorAll('#spotTable tbody tr'));
+  assert.equal(table().length, 5);
+  assert.deepEqual(cells(table()[0]).filter(Boolean), ['1', 'RAL 3020 Traffic red', 'L 41.2, a 59.9, b 50.0', '0.00']);
+  setControl('spotCount', '3', 'input');
+  assert.equal(table().length, 3);
+  assert.match(location.hash, /[?&]spots=3(&|$)/);
+  setControl('spotCount', '5', 'input');
+});
+
+test('ideal inks by default; press inks make the naïve swatch follow the black generation', () => {
+  convert('#808080');
+  const naive = () => rows()[4].children[1].firstElementChild.style.background;
+  assert.equal($('#inkModel').value, 'ideal');
+  assert.equal(naive(), 'rgb(128, 128, 128)');
+  setControl('blackGen', 'none');
+  assert.equal(naive(), 'rgb(128, 128, 128)');
+  setControl('inkModel', 'press');
+  assert.match(location.hash, /[?&]inks=press(&|$)/);
+  const cmyOnly = naive();
+  setControl('blackGen', 'maximum');
+  assert.notEqual(naive(), cmyOnly);
+  setControl('inkModel', 'ideal');
+  assert.doesNotMatch(location.hash, /inks=/);
+});
+
+test('a damaged ASE swatch is skipped, not fatal, in batch mode', async () => {
+  const buffer = writeAse([{name:'Good', hex:'#629c67'}, {name:'Bad', hex:'#ffffff'}, {name:'Also', hex:'#111111'}]);
+  // Second block: 12-byte header + first block (6 + 30), then 6 + name (2 + 4·2) + model (4)
+  new DataView(buffer).setFloat32(12 + 36 + 6 + 10 + 4, NaN);
+  const input = $('#batchFile');
+  Object.defineProperty(input, 'files', {value:[{name:'brand.ase', arrayBuffer:async () => buffer}], configurable:true});
+  input.dispatchEvent(new window.Event('change'));
+  await settle();
+  assert.equal(window.document.querySelectorAll('#batchTable tbody tr').length, 2);
+  assert.match($('#batchStatus').textContent, /^2 colors converted · .* · skipped line 2$/);
+  assert.match($('#batchInput').value.split('\n')[1], /^Bad: color\(srgb NaN /);
+});
+
+test('stepping back to the entry the page opened on restores the example color', async () => {
+  convert('#abcdef');
+  history.go(1 - history.length);
+  await navigated();
+  assert.equal(location.hash, '');
+  assert.equal($('#hexInput').value, '#629c67');
+  assert.deepEqual(cells(rows()[4]).slice(2, 6), ['37', '0', '34', '39']);
+});
+
+test('copy link after a failed Convert copies the last color that converted', async () => {
+  let copied = '';
+  Object.defineProperty(window.navigator, 'clipboard', {value:{writeText:async (text) => { copied = text; }}, configurable:true});
+  convert('#336699');
+  convert('rgb(nope)');
+  $('#copyLink').click();
+  await settle();
+  delete window.navigator.clipboard;
+  assert.equal(copied, 'https://example.test/guide/#sandbox?c=%23336699');
+  assert.equal($('#copyLink').textContent, 'Copied!');
+});
@@ -0,0 +1,93 @@
+/*
+  test/softproof.test.mjs — the soft-proof conversion (color/softproof.mjs)
+
+  The worker only wires messages to proofConverter → buildSoftProofLut → softProofPixels,
+  so these are tested here directly: the converter must be the sandbox's convertIntent
+  for the same settings, the grid must hold its output at every node, and a pixel that
+  sits on a node must come out as convertIntent would print it.
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { INTENTS, DEFAULT_BLACK, convertIntent, hexToLabD50 } from '../color/pipeline.mjs';
+import { deltaE2000 } from '../color/delta-e.mjs';
+import { LUT_SIZE, proofConverter, buildSoftProofLut, softProofPixels } from '../color/softproof.mjs';
+
+const BLACKS = [DEFAULT_BLACK, {strategy:'ucr', blackStart:0.2, maxK:0.9, richBlack:true}];
+const SAMPLES = ['#629c67', '#336699', '#c8a040', '#ff0000', '#111111', '#f8f8f8'];
+// A grid whose nodes fall on whole byte values: 0, 51, 102, … 255
+const SIZE = 6;
+const hex = (rgb) => '#' + rgb.map(v => v.toString(16).padStart(2, '0')).join('');
+
+test('proofConverter is convertIntent for every intent, black generation and ink model', () => {
+  INTENTS.forEach(({name, fn}) => BLACKS.forEach(black => ['ideal', 'press'].forEach(inks => {
+    const convert = proofConverter({intent:name, black, inks, profile:null});
+    SAMPLES.forEach(color => {
+      const {Lab} = hexToLabD50(color);
+      assert.deepEqual(convert(Lab), convertIntent(Lab, fn, black, inks), `${name} ${inks} ${color}`);
+    });
+  })));
+});
+
+test('proofConverter keeps the approximations for intents a profile doesn’t have, and defaults to the first', () => {
+  const {Lab} = hexToLabD50('#629c67');
+  const naive = INTENTS.find(e => e.name === 'Naive math');
+  // Only the `name` lookup is reached: no ICC intent is called Naive math
+  assert.deepEqual(proofConverter({intent:'Naive math', black:DEFAULT_BLACK, inks:'ideal', profile:{}})(Lab),
+    convertIntent(Lab, naive.fn, DEFAULT_BLACK, 'ideal'));
+  assert.deepEqual(proofConverter({intent:'Unknown', black:DEFAULT_BLACK, inks:'ideal', profile:null})(Lab),
+    convertIntent(Lab, INTENTS[0].fn, DEFAULT_BLACK, 'ideal'));
+});
+
+test('every LUT node holds the converter’s output and the ΔE2000 it costs', () => {
+  const black = BLACKS[1], {fn} = INTENTS[0];
+  const lut = buildSoftProofLut(proofConverter({intent:INTENTS[0].name, black, inks:'press', profile:null}), SIZE);
+  assert.equal(lut.size, SIZE);
+  assert.equal(lut.rgb.length, SIZE**3 * 3);
+  for (let i = 0; i < SIZE**3; i++) {
+    const node = [Math.floor(i / SIZE**2), Math.floor(i / SIZE) % SIZE, i % SIZE].map(v => v * 255 / (SIZE - 1));
+    const {Lab} = hexToLabD50(hex(node));
+    const out = convertIntent(Lab, fn, black, 'press');
+    out.rgb.forEach((v, c) => assert.ok(Math.abs(lut.rgb[i*3 + c] - v) < 1e-6, `node ${i}`));
+    assert.ok(Math.abs(lut.deltaE[i] - deltaE2000(Lab, hexToLabD50(`color(srgb ${out.rgb.join(' ')})`).Lab)) < 1e-3, `node ${i}`);
+  }
+});
+
+test('pixels on grid nodes come out as convertIntent prints them; alpha passes through', () => {
+  const naive = INTENTS.find(e => e.name === 'Naive math');
+  const lut = buildSoftProofLut(proofConverter({intent:naive.name, black:DEFAULT_BLACK, inks:'press', profile:null}), SIZE);
+  const pixels = [[0, 51, 102, 255], [255, 204, 0, 128], [153, 153, 153, 255], [255, 255, 255, 0]];
+  const {proof} = softProofPixels(lut, new Uint8ClampedArray(pixels.flat()), Infinity);
+  pixels.forEach(([r, g, b, a], p) => {
+    const {rgb} = convertIntent(hexToLabD50(hex([r, g, b])).Lab, naive.fn, DEFAULT_BLACK, 'press');
+    // Within a level: the table holds 32-bit floats, so a channel on .5 may round either way
+    rgb.forEach((v, c) => assert.ok(Math.abs(proof[p*4 + c] - v * 255) <= 0.5 + 1e-4, `${hex([r, g, b])}: ${[...proof.slice(p*4, p*4 + 3)]}`));
+    assert.equal(proof[p*4 + 3], a);
+  });
+});
+
+test('between nodes the full-size grid stays close to the direct conversion', () => {
+  const {fn} = INTENTS.find(e => e.name === 'Relative colorimetric');
+  const lut = buildSoftProofLut(proofConverter({intent:'Relative colorimetric', black:DEFAULT_BLACK, inks:'ideal', profile:null}));
+  assert.equal(lut.size, LUT_SIZE);
+  const data = new Uint8ClampedArray(SAMPLES.flatMap(c => [...[1, 3, 5].map(i => parseInt(c.slice(i, i + 2), 16)), 255]));
+  const {proof} = softProofPixels(lut, data, Infinity);
+  SAMPLES.forEach((color, p) => {
+    const direct = convertIntent(hexToLabD50(color).Lab, fn, DEFAULT_BLACK, 'ideal').hex;
+    const dE = deltaE2000(hexToLabD50(direct).Lab, hexToLabD50(hex([...proof.slice(p*4, p*4 + 3)])).Lab);
+    assert.ok(dE < 1, `${color}: ΔE ${dE}`);
+  });
+});
+
+test('pixels past the threshold are flagged on the overlay, transparent ones never', () => {
+  const lut = buildSoftProofLut(proofConverter({intent:'Naive math', black:DEFAULT_BLACK, inks:'press', profile:null}), SIZE);
+  // Pure red moves a lot through press inks; mid gray moves far less
+  const data = new Uint8ClampedArray([255, 0, 0, 255, 255, 0, 0, 0, 153, 153, 153, 255]);
+  const node = (rgb) => lut.deltaE[rgb[0]/51*SIZE*SIZE + rgb[1]/51*SIZE + rgb[2]/51];
+  const threshold = (node([255, 0, 0]) + node([153, 153, 153])) / 2;
+  assert.ok(node([255, 0, 0]) > node([153, 153, 153]));
+  const {overlay, flagged} = softProofPixels(lut, data, threshold);
+  assert.equal(flagged, 1);
+  assert.deepEqual([...overlay.slice(0, 4)], [255, 0, 255, 200]);
+  assert.deepEqual([...overlay.slice(4)], new Array(8).fill(0));
+});
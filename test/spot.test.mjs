@@ -0,0 +1,66 @@
+/*
+  test/spot.test.mjs — spot-color libraries and the nearest-match search
+
+  The bundled RAL Classic set must find its own colors at ΔE 0 and rank the rest by
+  ΔE2000; loaded libraries come from palette entries or measured `name, L, a, b` lists.
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hexToLabD50 } from '../color/pipeline.mjs';
+import { deltaE2000 } from '../color/delta-e.mjs';
+import { RAL_CLASSIC } from '../color/ral-classic.mjs';
+import { SPOT_LIBRARIES, spotLibrary, readSpotList, nearestSpots } from '../color/spot.mjs';
+
+const ral = SPOT_LIBRARIES['ral-classic'];
+
+test('RAL Classic is bundled whole, with unique codes and Lab for every color', () => {
+  assert.equal(ral.colors.length, 213);
+  assert.equal(new Set(ral.colors.map(c => c.code)).size, 213);
+  ral.colors.forEach(c => {
+    assert.match(c.code, /^RAL \d{4}$/);
+    assert.ok(c.Lab.every(Number.isFinite), c.code);
+  });
+  assert.deepEqual(ral.colors.map(c => c.code), RAL_CLASSIC.map(([code]) => code));
+});
+
+test('a library color is its own nearest match, at ΔE 0', () => {
+  [['#bb1e10', 'RAL 3020'], ['#f7b500', 'RAL 1023'], ['#0e0e10', 'RAL 9005']].forEach(([hex, code]) => {
+    const [best] = nearestSpots(hexToLabD50(hex).Lab, ral, 1);
+    assert.equal(best.code, code);
+    assert.ok(best.deltaE < 1e-9, `${code}: ${best.deltaE}`);
+  });
+});
+
+test('matches come back closest first, as many as asked for', () => {
+  const Lab = hexToLabD50('#629c67').Lab;
+  const top = nearestSpots(Lab, ral, 5);
+  assert.equal(top.length, 5);
+  top.forEach((m, i) => {
+    assert.equal(m.deltaE, deltaE2000(Lab, m.Lab));
+    if (i) assert.ok(m.deltaE >= top[i - 1].deltaE);
+  });
+  const all = ral.colors.map(c => deltaE2000(Lab, c.Lab));
+  assert.equal(top[0].deltaE, Math.min(...all));
+  assert.equal(nearestSpots(Lab, ral, 500).length, 213);
+  assert.equal(nearestSpots(Lab, ral, 0).length, 0);
+});
+
+test('measured Lab lists load alongside ordinary palette lines', () => {
+  const {entries, skipped} = readSpotList('Name,L,a,b\nHouse green, 59.2, -28.3, 21.6\nSky\t57.8\t-5\t-44.7\nAccent: #e63946\nnot a color');
+  assert.deepEqual(skipped.map(s => s.line), [1, 5]);
+  const lib = spotLibrary('house.csv', entries);
+  assert.deepEqual(lib.colors.map(c => c.name), ['House green', 'Sky', 'Accent']);
+  assert.deepEqual(lib.colors[0].Lab, [59.2, -28.3, 21.6]);
+  assert.equal(lib.colors[0].hex, '#629c67');
+  assert.equal(lib.colors[0].code, '');
+
+  const [best] = nearestSpots(hexToLabD50('#629c67').Lab, lib, 1);
+  assert.equal(best.name, 'House green');
+  assert.ok(best.deltaE < 0.2);
+});
+
+test('unreadable swatches are left out of a library', () => {
+  const lib = spotLibrary('mixed', [{name:'Ok', color:'teal'}, {name:'Bad', color:'nope'}, {name:'', color:'#fff'}]);
+  assert.deepEqual(lib.colors.map(c => c.name), ['Ok', '#fff']);
+});
@@ -0,0 +1,214 @@
+/*
+  test/toc.dom.test.mjs — core.js table of contents against the real index.html, in jsdom
+
+  core.js is a classic script, so it runs inside the jsdom window (window.eval) after
+  the page markup is loaded. jsdom has no IntersectionObserver or matchMedia; the
+  stand-ins below record what core.js observes so the tests can fire intersections.
+  The page’s navs ask for the h3 outline (data-toc-depth="3"); a second copy of the
+  page without it checks the plain section list.
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const html = readFileSync(new URL('../index.html', import.meta.url), 'utf8').replace(/<script[\s\S]*?<\/script>/g, '');
+const core = readFileSync(new URL('../core.js', import.meta.url), 'utf8');
+
+// A page with core.js run in it (once the document has parsed), and the
+// IntersectionObservers it created
+async function load(markup){
+  const {window} = new JSDOM(markup, {url:'https://example.test/guide/', runScripts:'outside-only', pretendToBeVisual:true});
+  const observers = [];
+  window.IntersectionObserver = class {
+    constructor(callback){ this.callback = callback; this.targets = []; observers.push(this); }
+    observe(el){ this.targets.push(el); }
+    unobserve(){}
+    disconnect(){}
+  };
+  window.matchMedia = () => ({matches:false, addEventListener(){}, removeEventListener(){}});
+  window.eval(core);
+  if (window.document.readyState === 'loading') {
+    await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+  }
+  return {window, document:window.document, observers};
+}
+
+const {window, document, observers} = await load(html);
+const headings = Array.from(document.querySelectorAll('main section h2'));
+const outline = Array.from(document.querySelectorAll('main section h2, main section h3'));
+const tocs = Array.from(document.querySelectorAll('nav.toc'));
+const links = (nav) => Array.from(nav.querySelectorAll('a'));
+const visibleLinks = (nav) => links(nav).filter(a => !a.closest('[hidden]'));
+const activeObserver = () => observers.find(o => o.targets.includes(headings[0]));
+const key = (el, name) => el.dispatchEvent(new window.KeyboardEvent('keydown', {key:name, bubbles:true}));
+
+test('with data-toc-depth="3" every nav.toc lists the sections and their h3s, in order', () => {
+  assert.ok(headings.length > 5);
+  assert.ok(outline.length > headings.length + 10);
+  assert.equal(tocs.length, 2);
+  tocs.forEach(nav => {
+    assert.deepEqual(links(nav).map(a => a.getAttribute('href')), outline.map(h => `#${h.id}`));
+    assert.deepEqual(links(nav).map(a => a.textContent), outline.map(h => h.textContent));
+    links(nav).forEach((a, i) => assert.equal(a.className, `depth-${outline[i].tagName[1]}`));
+    // Sections are list items; their h3s sit in a collapsed sublist behind a twisty
+    assert.equal(nav.querySelectorAll(':scope > ol > li.toc-item').length, headings.length);
+    nav.querySelectorAll('.toc-sub').forEach(sub => {
+      assert.equal(sub.hidden, true);
+      assert.equal(sub.closest('.toc-item').querySelector('.toc-twisty').getAttribute('aria-controls'), sub.id);
+    });
+  });
+  assert.ok(Array.from(document.querySelectorAll('main h3')).some(h => h.id === 'why-srgb-stops-at-255'));
+});
+
+test('without data-toc-depth a nav lists only the sections', async () => {
+  const page = await load(html.replace(/ data-toc-depth="3"/g, ''));
+  const sections = Array.from(page.document.querySelectorAll('main section h2'));
+  page.document.querySelectorAll('nav.toc').forEach(nav => {
+    assert.deepEqual(links(nav).map(a => a.getAttribute('href')), sections.map(h => `#${h.id}`));
+    links(nav).forEach(a => assert.equal(a.className, 'depth-2'));
+    assert.equal(nav.querySelector('.toc-twisty'), null);
+  });
+  // Only the listed headings are watched for the active highlight
+  const observer = page.observers.find(o => o.targets.includes(sections[0]));
+  assert.deepEqual(observer.targets, sections);
+});
+
+test('heading ids are unique, explicit ones are kept and missing ones are slugged', () => {
+  const ids = headings.map(h => h.id);
+  assert.equal(new Set(ids).size, ids.length);
+  assert.ok(ids.includes('sidequestnave-cmyk-no-icc'));
+  assert.equal(document.querySelector('#interactive-sandbox h2').id, 'bonus-dungeon-color-conversion-sandbox');
+  ids.forEach(id => assert.equal(document.querySelectorAll(`[id="${id}"]`).length, 1, id));
+});
+
+test('the heading scrolled into view is marked active in both lists', () => {
+  const target = headings[3];
+  activeObserver().callback([{isIntersecting:true, target, boundingClientRect:{top:10}}]);
+  tocs.forEach(nav => {
+    assert.deepEqual(links(nav).filter(a => a.classList.contains('active')).map(a => a.getAttribute('href')), [`#${target.id}`]);
+  });
+});
+
+test('an active h3 opens its section’s outline, which closes again when reading moves on', () => {
+  const sub = document.getElementById('why-srgb-stops-at-255');
+  activeObserver().callback([{isIntersecting:true, target:sub, boundingClientRect:{top:10}}]);
+  tocs.forEach(nav => {
+    const active = links(nav).filter(a => a.classList.contains('active'));
+    assert.deepEqual(active.map(a => a.getAttribute('href')), ['#why-srgb-stops-at-255']);
+    assert.equal(active[0].closest('.toc-sub').hidden, false);
+    assert.ok(active[0].closest('.toc-item').classList.contains('is-current'));
+  });
+  activeObserver().callback([{isIntersecting:true, target:headings[0], boundingClientRect:{top:10}}]);
+  tocs.forEach(nav => assert.equal(nav.querySelector('a[href="#why-srgb-stops-at-255"]').closest('.toc-sub').hidden, true));
+});
+
+test('a twisty pins its section open until clicked again', () => {
+  const nav = tocs[1];
+  const item = nav.querySelectorAll('.toc-item')[2];
+  const twisty = item.querySelector('.toc-twisty');
+  twisty.click();
+  assert.equal(twisty.getAttribute('aria-expanded'), 'true');
+  assert.equal(item.querySelector('.toc-sub').hidden, false);
+  activeObserver().callback([{isIntersecting:true, target:headings[5], boundingClientRect:{top:10}}]);
+  assert.equal(item.querySelector('.toc-sub').hidden, false);
+  twisty.click();
+  assert.equal(item.querySelector('.toc-sub').hidden, true);
+  activeObserver().callback([{isIntersecting:true, target:headings[0], boundingClientRect:{top:10}}]);
+});
+
+test('arrow keys walk the visible entries and open / close sections', () => {
+  const nav = tocs[1];
+  // The second section: not the active one, so its h3s start hidden
+  const item = nav.querySelectorAll('.toc-item')[1];
+  const first = item.querySelector('.toc-entry a');
+  const sub = item.querySelector('.toc-sub');
+  assert.equal(sub.hidden, true);
+  first.focus();
+
+  const at = visibleLinks(nav).indexOf(first);
+  key(first, 'ArrowDown');
+  assert.equal(document.activeElement, visibleLinks(nav)[at + 1]);
+  assert.equal(document.activeElement.className, 'depth-2');
+  key(document.activeElement, 'ArrowUp');
+  assert.equal(document.activeElement, first);
+
+  key(first, 'ArrowRight');
+  assert.equal(sub.hidden, false);
+  assert.equal(document.activeElement, first);
+  key(first, 'ArrowRight');
+  assert.equal(document.activeElement, sub.querySelector('a'));
+  key(document.activeElement, 'ArrowDown');
+  assert.equal(document.activeElement, sub.querySelectorAll('a')[1]);
+  key(document.activeElement, 'ArrowLeft');
+  assert.equal(document.activeElement, first);
+  key(first, 'ArrowLeft');
+  assert.equal(sub.hidden, true);
+
+  key(first, 'End');
+  assert.equal(document.activeElement, visibleLinks(nav).at(-1));
+  key(document.activeElement, 'Home');
+  assert.equal(document.activeElement, links(nav)[0]);
+});
+
+test('each section’s bar shows how far it has been read', async () => {
+  const sections = headings.map(h => h.closest('section'));
+  // Reading line at 30% of the 1000px viewport: section 0 done, 1 halfway, the rest ahead
+  window.innerHeight = 1000;
+  const boxes = [{top:-900, height:800}, {top:100, height:400}];
+  sections.forEach((s, i) => { s.getBoundingClientRect = () => boxes[i] || {top:600 + i * 500, height:500}; });
+  window.dispatchEvent(new window.Event('scroll'));
+  await new Promise(resolve => window.requestAnimationFrame(() => setTimeout(resolve)));
+  tocs.forEach(nav => {
+    const items = nav.querySelectorAll('.toc-item');
+    const progress = (i) => items[i].querySelector('.toc-progress').style.getPropertyValue('--progress');
+    assert.deepEqual([0, 1, 2].map(progress), ['1.000', '0.500', '0.000']);
+    assert.ok(items[0].classList.contains('is-read'));
+    assert.ok(!items[1].classList.contains('is-read'));
+  });
+});
+
+test('a section with several h2s lists each, with the h3s that follow it, and splits its bar', async () => {
+  const page = await load(`<nav class="toc" data-toc-depth="3"></nav><main>
+    <section><h2>Intro</h2><h3>Why</h3></section>
+    <section><h2>Inks</h2><h3>Process</h3><h3>Spot</h3><h2>Paper</h2><h3>Coated</h3></section>
+  </main>`);
+  const nav = page.document.querySelector('nav.toc');
+  const entries = Array.from(nav.querySelectorAll('.toc-item')).map(li => [
+    li.querySelector('.toc-entry a').getAttribute('href'),
+    Array.from(li.querySelectorAll('.toc-sub a')).map(a => a.getAttribute('href')),
+  ]);
+  assert.deepEqual(entries, [['#intro', ['#why']], ['#inks', ['#process', '#spot']], ['#paper', ['#coated']]]);
+
+  // Inks runs from its section's top to Paper's h2, Paper from there to the section's end
+  const [first, second] = page.document.querySelectorAll('section');
+  page.window.innerHeight = 1000;
+  first.getBoundingClientRect = () => ({top:-500, height:400});
+  second.getBoundingClientRect = () => ({top:-100, height:1000});
+  page.document.querySelector('#paper').getBoundingClientRect = () => ({top:200, height:40});
+  page.window.dispatchEvent(new page.window.Event('scroll'));
+  await new Promise(resolve => page.window.requestAnimationFrame(() => setTimeout(resolve)));
+  const progress = Array.from(nav.querySelectorAll('.toc-progress')).map(bar => bar.style.getPropertyValue('--progress'));
+  assert.deepEqual(progress, ['1.000', '1.000', '0.143']);
+});
+
+test('the mobile toggle opens #tocList, and a link or Escape closes it', () => {
+  const toggle = document.getElementById('tocToggle');
+  const list = document.getElementById('tocList');
+  const fab = document.getElementById('tocFab');
+  assert.equal(list.getAttribute('data-open'), 'false');
+
+  toggle.click();
+  assert.equal(list.getAttribute('data-open'), 'true');
+  assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+  assert.equal(fab.getAttribute('aria-expanded'), 'true');
+  links(list)[1].click();
+  assert.equal(list.getAttribute('data-open'), 'false');
+
+  fab.click();
+  assert.equal(list.getAttribute('data-open'), 'true');
+  document.dispatchEvent(new window.KeyboardEvent('keydown', {key:'Escape'}));
+  assert.equal(list.getAttribute('data-open'), 'false');
+  assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+});
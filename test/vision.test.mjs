@@ -0,0 +1,54 @@
+/*
+  test/vision.test.mjs — CVD simulation and contrast against published values
+
+  WCAG 2 ratios from the WCAG 2.x definition (#767676 is the classic lightest AA gray on
+  white); APCA Lc values from the APCA-W3 reference implementation’s test set.
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hexToRgb } from '../color/pipeline.mjs';
+import { CVD_TYPES, simulateCvd, wcagContrast, wcagLevel, apcaContrast, apcaLevel } from '../color/vision.mjs';
+
+const close = (actual, expected, tol, label) => assert.ok(Math.abs(actual - expected) <= tol, `${label}: ${actual} ≠ ${expected}`);
+
+test('WCAG 2 contrast ratios and grades', () => {
+  close(wcagContrast(hexToRgb('#000000'), hexToRgb('#ffffff')), 21, 1e-9, 'black / white');
+  close(wcagContrast(hexToRgb('#ffffff'), hexToRgb('#000000')), 21, 1e-9, 'order doesn’t matter');
+  close(wcagContrast(hexToRgb('#767676'), hexToRgb('#ffffff')), 4.54, 0.005, '#767676');
+  close(wcagContrast(hexToRgb('#777777'), hexToRgb('#ffffff')), 4.48, 0.005, '#777777');
+  close(wcagContrast(hexToRgb('#629c67'), hexToRgb('#629c67')), 1, 1e-9, 'same color');
+  assert.deepEqual([7, 4.5, 3, 2.99].map(wcagLevel), ['AAA', 'AA', 'AA large', 'Fail']);
+});
+
+test('APCA Lc matches the APCA-W3 reference values', () => {
+  const lc = (text, bg) => apcaContrast(hexToRgb(text), hexToRgb(bg));
+  close(lc('#000000', '#ffffff'), 106.04067, 1e-4, 'black on white');
+  close(lc('#ffffff', '#000000'), -107.88473, 1e-4, 'white on black');
+  close(lc('#888888', '#ffffff'), 63.056469, 1e-4, '#888 on white');
+  close(lc('#ffffff', '#888888'), -68.541464, 1e-4, 'white on #888');
+  close(lc('#000000', '#aaaaaa'), 58.146262, 1e-4, 'black on #aaa');
+  close(lc('#aaaaaa', '#000000'), -56.241133, 1e-4, '#aaa on black');
+  assert.equal(lc('#777777', '#777777'), 0);
+  assert.equal(apcaLevel(-80), 'Body text');
+  assert.equal(apcaLevel(10), 'Not readable');
+});
+
+test('CVD simulation keeps neutrals and collapses the confused axis', () => {
+  Object.keys(CVD_TYPES).forEach(type => {
+    [[1, 1, 1], [0.2, 0.2, 0.2], [0, 0, 0]].forEach(gray => {
+      simulateCvd(gray, type).forEach((v, i) => close(v, gray[i], 1e-5, `${type} ${gray}`));
+    });
+  });
+  // Red and green end up with nearly the same chromaticity (only lightness tells them
+  // apart) for the red-green deficiencies, but stay far apart for tritanopia
+  const chroma = (rgb) => rgb.map(v => v / (rgb[0] + rgb[1] + rgb[2]));
+  const gap = (type) => {
+    const r = chroma(simulateCvd([0.5, 0.1, 0.1], type)), g = chroma(simulateCvd([0.1, 0.35, 0.1], type));
+    return Math.hypot(r[0] - g[0], r[1] - g[1], r[2] - g[2]);
+  };
+  assert.ok(gap('none') > 0.7, 'distinct with typical vision');
+  assert.ok(gap('protanopia') < 0.2 && gap('deuteranopia') < 0.2, 'red-green confusable');
+  assert.ok(gap('tritanopia') > 0.5, 'red-green distinct for tritanopia');
+  assert.deepEqual(simulateCvd([0.5, 0.1, 0.1], 'none'), [0.5, 0.1, 0.1]);
+});